@@ -3,10 +3,14 @@
  * 提供统一的API接口，支持配置选择底层实现
  */
 
-import { inject, createRetryRequestor, useRequestor, setGlobalConfig } from './request-core/index.js';
-import { requestor as fetchRequestor } from './request-fetch-imp/index.js';
+import { inject, setGlobalConfig, interceptors, createClient, useAuth, defaultClient } from './request-core/index.js';
+import { requestor as defaultRequestor } from './request-bus/config.js';
+import { bindModules, registerPatch, removePatch, clearPatches, getPatchRegistry } from './request-bus/index.js';
 import * as businessModules from './request-bus/index.js';
 
+// 上一次initRequest注册的补丁的移除函数
+let removeInitPatches = [];
+
 /**
  * 初始化请求库
  * 这是用户唯一需要调用的方法，用于配置请求库
@@ -14,21 +18,65 @@ import * as businessModules from './request-bus/index.js';
  * @param {string} config.baseURL - API基础URL
  * @param {Object} config.headers - 全局请求头
  * @param {number} config.timeout - 全局超时时间
+ * @param {Object} config.auth - 认证管理器或其配置选项，见createAuthManager
+ * @param {Object} config.validation - 响应校验的默认选项 { mode, coerce }，开发环境可以使用 { mode: 'warn' }
+ * @param {boolean|Object} config.envelope - 响应信封配置，默认false；true按 { code, message, data } 解包，code不为0时抛出BusinessError
+ * @param {Array<Object>} config.patches - 业务方法补丁，注册为全局补丁，见registerPatch；再次调用initRequest时替换上一次的补丁
  * @returns {Object} 配置好的请求库实例，包含所有业务模块
  */
 export function initRequest(config = {}) {
   // 提取全局配置
-  const { baseURL, headers, timeout } = config;
+  const { baseURL, headers, timeout, auth, validation, envelope = false, patches = [] } = config;
   
   // 设置全局配置
-  setGlobalConfig({ baseURL, headers, timeout });
+  setGlobalConfig({ baseURL, headers, timeout, validation, envelope });
+  
+  // 注入默认请求实现，见request-bus/config.js
+  inject(defaultRequestor);
   
-  // 注入fetch请求实现
-  inject(fetchRequestor);
+  // 安装认证管理器
+  if (auth) {
+    useAuth(auth);
+  }
   
-  // 返回包含所有业务模块的请求库实例
+  // 移除上一次初始化注册的补丁，再注册本次的补丁
+  removeInitPatches.forEach(remove => remove());
+  removeInitPatches = patches.map(patch => registerPatch(patch));
+  
+  // 返回包含所有业务模块的请求库实例，业务模块绑定到默认客户端，多次调用时共用同一组模块
   return {
-    ...businessModules
+    ...businessModules,
+    ...bindModules(defaultClient)
+  };
+}
+
+/**
+ * 创建独立的请求库实例
+ * 每个实例拥有独立的配置、请求实现、拦截器和缓存，可用于同时访问多个后端
+ * （如主API和统计API使用不同的baseURL和认证信息），不影响initRequest配置的默认实例
+ * @param {Object} config - 配置选项
+ * @param {string} config.baseURL - API基础URL
+ * @param {Object} config.headers - 请求头
+ * @param {number} config.timeout - 超时时间
+ * @param {Object} config.auth - 认证管理器或其配置选项，见createAuthManager
+ * @param {Object} config.requestor - 请求实现，默认使用request-bus/config.js中配置的实现（fetch实现）
+ * @param {boolean|Object} config.envelope - 响应信封配置，默认false，同initRequest
+ * @param {Array<Object>} config.patches - 只作用于该实例的业务方法补丁，见registerPatch
+ * @returns {Object} 请求库实例，包含client（请求客户端）、所有业务模块，以及只作用于该实例的registerPatch、removePatch、clearPatches、getPatches
+ */
+export function createRequestLibrary(config = {}) {
+  const { requestor = defaultRequestor, patches, ...clientConfig } = config;
+  const client = createClient({ requestor, ...clientConfig });
+  // 实例有独立的补丁注册表，全局补丁不影响该实例
+  const { registerPatch, removePatch, clearPatches, getPatches } = getPatchRegistry(client);
+  
+  return {
+    client,
+    ...bindModules(client, { patches }),
+    registerPatch,
+    removePatch,
+    clearPatches,
+    getPatches
   };
 }
 
@@ -37,3 +85,12 @@ export default initRequest;
 
 // 导出全局配置函数（可选，用于后续修改配置）
 export { setGlobalConfig };
+
+// 导出全局拦截器（可选，用于统一处理token注入、响应解包和错误）
+export { interceptors };
+
+// 导出客户端工厂（可选，用于自行组装客户端和业务模块）
+export { createClient, bindModules };
+
+// 导出业务方法补丁（可选，用于定制部署或A/B测试时替换、包装业务方法）
+export { registerPatch, removePatch, clearPatches, getPatchRegistry };
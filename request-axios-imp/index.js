@@ -3,15 +3,152 @@
  */
 
 import axios from 'axios';
+import {
+  RequestError,
+  HttpError,
+  TimeoutError,
+  NetworkError,
+  AbortError,
+  ParseError
+} from '../request-core/errors.js';
+import { RESPONSE_TYPE, detectResponseType } from '../request-core/response.js';
+import { serializeParams } from '../request-core/params.js';
 
 // 创建axios实例
+// 不设置默认Content-Type，由axios根据请求体类型（JSON、FormData、URLSearchParams等）自动设置
 const axiosInstance = axios.create({
   timeout: 10000, // 默认超时时间10秒
-  headers: {
-    'Content-Type': 'application/json'
+  // 明确指定responseType为json时，解析失败抛出错误而不是返回原始文本，与fetch实现一致
+  transitional: {
+    ...axios.defaults.transitional,
+    silentJSONParsing: false
   }
 });
 
+/**
+ * 将axios返回的二进制数据转换为ArrayBuffer（Node环境下为Buffer）
+ * @param {ArrayBuffer|Uint8Array} data - 响应数据
+ * @returns {ArrayBuffer} ArrayBuffer
+ */
+function toArrayBuffer(data) {
+  if (data instanceof ArrayBuffer) {
+    return data;
+  }
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * 创建与fetch实现一致的响应数据转换函数
+ * blob、arraybuffer和auto统一以arraybuffer请求，再按需要的类型转换，
+ * 避免Node环境下axios不支持blob；JSON类型的空响应体统一返回null
+ * @param {Object} config - 请求配置
+ * @returns {Function} axios transformResponse函数
+ */
+function createResponseNormalizer(config) {
+  const { responseType } = config;
+
+  return function(data, headers) {
+    const contentType = headers ? headers['content-type'] : '';
+    const type = responseType === RESPONSE_TYPE.AUTO ? detectResponseType(contentType) : responseType;
+
+    if (type === RESPONSE_TYPE.ARRAYBUFFER) {
+      return toArrayBuffer(data);
+    }
+    if (type === RESPONSE_TYPE.BLOB) {
+      return new Blob([toArrayBuffer(data)], contentType ? { type: contentType } : {});
+    }
+    if (responseType !== RESPONSE_TYPE.AUTO) {
+      return (!type || type === RESPONSE_TYPE.JSON) && data === '' ? null : data;
+    }
+
+    const text = new TextDecoder().decode(toArrayBuffer(data));
+    if (type === RESPONSE_TYPE.TEXT) {
+      return text;
+    }
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ParseError(`Failed to parse response as JSON: ${error.message}`, { config, cause: error });
+    }
+  };
+}
+
+/**
+ * 将axios的响应头转换为普通对象，与fetch实现保持一致
+ * @param {Object} headers - axios响应头
+ * @returns {Object} 响应头对象，键为小写
+ */
+function toPlainHeaders(headers) {
+  return headers && typeof headers.toJSON === 'function' ? { ...headers.toJSON() } : { ...headers };
+}
+
+/**
+ * 将axios错误转换为统一的请求错误类型
+ * @param {Error} error - axios抛出的错误
+ * @param {Object} config - 请求配置
+ * @returns {RequestError} 统一的请求错误
+ */
+function normalizeError(error, config) {
+  if (error instanceof RequestError) {
+    return error;
+  }
+
+  if (axios.isCancel(error)) {
+    const reason = config.signal ? config.signal.reason : undefined;
+    return new AbortError(typeof reason === 'string' ? reason : 'Request aborted', { config, reason, cause: error });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    const timeout = error.config ? error.config.timeout : config.timeout;
+    return new TimeoutError(`Request timeout after ${timeout}ms`, { config, timeout, cause: error });
+  }
+
+  if (error.name === 'SyntaxError' || error.cause instanceof SyntaxError) {
+    return new ParseError(`Failed to parse response as JSON: ${error.message}`, {
+      config,
+      cause: error,
+      response: error.response || null
+    });
+  }
+
+  if (error.response) {
+    const { response } = error;
+    return new HttpError(`Request failed with status code ${response.status}`, {
+      config,
+      status: response.status,
+      statusText: response.statusText,
+      body: response.data,
+      headers: toPlainHeaders(response.headers),
+      response,
+      cause: error
+    });
+  }
+
+  if (error.request || error.code === 'ERR_NETWORK') {
+    return new NetworkError(error.message || 'Network Error', { config, cause: error });
+  }
+
+  return new RequestError(error.message, { config, cause: error });
+}
+
+/**
+ * 未设置Content-Type的字符串请求体按文本发送，与fetch实现一致
+ * axios默认会为POST、PUT、PATCH请求设置application/x-www-form-urlencoded；
+ * 普通对象等经过axios默认序列化后已经设置了Content-Type，不受影响
+ * @param {*} data - 序列化后的请求体
+ * @param {AxiosHeaders} headers - 请求头
+ * @returns {*} 请求体
+ */
+function setTextContentType(data, headers) {
+  if (typeof data === 'string' && !headers.getContentType()) {
+    headers.setContentType('text/plain;charset=UTF-8');
+  }
+  return data;
+}
+
 /**
  * 请求实现实例
  */
@@ -19,10 +156,35 @@ export const requestor = {
   /**
    * 通用请求方法
    * @param {Object} config - 请求配置
-   * @returns {Promise} 请求结果
+   * @returns {Promise<Object>} 响应 { data, status, statusText, headers, config, request }，与fetch实现结构一致，不是AxiosResponse
    */
   request: function(config) {
-    return axiosInstance(config);
+    // 自定义transformRequest执行后仍然使用axios默认的序列化，transformResponse在默认解析之后执行，与fetch实现保持一致
+    const binary = [RESPONSE_TYPE.BLOB, RESPONSE_TYPE.ARRAYBUFFER, RESPONSE_TYPE.AUTO].includes(config.responseType);
+    const axiosConfig = {
+      ...config,
+      // 查询参数使用与fetch实现相同的序列化规则
+      paramsSerializer: (params) => serializeParams(params, config.paramsSerializer),
+      responseType: binary ? RESPONSE_TYPE.ARRAYBUFFER : config.responseType,
+      transformResponse: [].concat(
+        axios.defaults.transformResponse,
+        createResponseNormalizer(config),
+        config.transformResponse || []
+      )
+    };
+    axiosConfig.transformRequest = [].concat(config.transformRequest || [], axios.defaults.transformRequest, setTextContentType);
+
+    // 响应结构与fetch实现一致：普通对象形式的响应头，config为传入的请求配置
+    return axiosInstance(axiosConfig).then((response) => ({
+      data: response.data,
+      status: response.status,
+      statusText: response.statusText,
+      headers: toPlainHeaders(response.headers),
+      config,
+      request: response.request
+    }), (error) => {
+      throw normalizeError(error, config);
+    });
   },
   
   /**
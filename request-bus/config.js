@@ -13,3 +13,6 @@ export { requestor } from '../request-fetch-imp/index.js';
 
 // 如果需要使用axios实现，可以直接替换上面的导入
 // export { requestor } from '../request-axios-imp/index.js';
+
+// 测试或离线开发时可以使用模拟实现
+// export { requestor } from '../request-mock-imp/index.js';
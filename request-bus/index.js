@@ -1,20 +1,36 @@
 /**
  * 请求业务总线层
- * 负责注入请求实现并提供模块化的业务请求方法
+ * 提供模块化的业务请求方法，业务模块通过bindModules绑定到请求客户端
+ * 导入时不注入请求实现，也不创建业务模块，默认客户端由initRequest完成注入和绑定
  */
-import { inject } from '../request-core/index.js';
-import { requestor } from './config.js';
+import { createArticleModule } from './modules/article/index.js';
+import { createUserModule } from './modules/user/index.js';
+import { patchModules } from './patch/index.js';
 
-// 注入请求实现
-inject(requestor);
-
-// 按需导出各个业务模块
-export * as article from './modules/article/index.js';
-export * as user from './modules/user/index.js';
+// 各客户端已创建的业务模块，同一个客户端只创建一次，避免重复注册缓存失效规则
+const boundModules = new WeakMap();
 
 // 导出核心功能
 export { inject } from '../request-core/index.js';
 
-// 如果需要保持向后兼容，可以选择导出常用方法（可选）
-// import * as articleApi from './modules/article/index.js';
-// export const { getArticles, publishArticle, getArticleDetail, updateArticle, deleteArticle } = articleApi;
+// 导出补丁功能，registerPatch等全局补丁函数作用于默认客户端，其他客户端使用getPatchRegistry(client)
+export { registerPatch, removePatch, clearPatches, getPatches, getPatchRegistry } from './patch/index.js';
+
+/**
+ * 将所有业务模块绑定到指定客户端
+ * 同一个客户端多次绑定时共用已创建的业务模块（包括缓存和失效规则），只有补丁按本次的选项应用
+ * @param {Object} client - 请求客户端，通过createClient创建
+ * @param {Object} options - 选项
+ * @param {Array<Object>} options.patches - 只作用于这些模块的补丁，见registerPatch
+ * @returns {Object} 绑定到该客户端的业务模块，该客户端注册表中的补丁同样生效，见getPatchRegistry
+ */
+export function bindModules(client, options = {}) {
+  const { patches = [] } = options;
+  if (!boundModules.has(client)) {
+    boundModules.set(client, {
+      article: createArticleModule(client),
+      user: createUserModule(client)
+    });
+  }
+  return patchModules(boundModules.get(client), { client, patches });
+}
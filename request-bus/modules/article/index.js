@@ -2,111 +2,140 @@
  * 文章模块请求方法
  * 集中管理与文章相关的所有API请求
  */
-import { createCacheRequestor, createRetryRequestor, createIdempotentRequest, useRequestor } from '../../../request-core/index.js';
+import { CACHE_MODE } from '../../../request-core/index.js';
 
 /**
- * 获取文章列表
- * 使用缓存功能，避免重复请求
- * @param {number} page - 页码
- * @param {number} size - 每页数量
- * @returns {Promise} 文章列表数据
+ * 创建文章模块
+ * 模块内的请求均通过传入的客户端发送，可绑定到不同的后端；创建时会向客户端注册文章相关的缓存失效规则，
+ * 应通过bindModules绑定，同一个客户端只创建一次
+ * @param {Object} client - 请求客户端，通过createClient创建
+ * @returns {Object} 文章模块所有方法
  */
-export const getArticles = async (page = 1, size = 10) => {
-  try {
-    // 在函数内部创建带缓存功能的请求器
-    const req = createCacheRequestor({
-      duration: 1000 * 60 * 30, // 缓存30分钟
-      key: (config) => `${config.method}-${config.url}-${JSON.stringify(config.params)}`
-    });
-    
-    const response = await req.get('/api/articles', {
-      params: { page, size }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('获取文章列表失败:', error);
-    throw error;
-  }
-};
+export function createArticleModule(client) {
+  // 发布文章后清除文章列表缓存
+  client.addInvalidationRule({
+    method: 'post',
+    url: '/api/articles',
+    tags: ['articles']
+  });
 
-/**
- * 发布文章
- * 使用幂等功能，确保不会重复提交
- * @param {Object} article - 文章数据
- * @returns {Promise} 发布结果
- */
-export const publishArticle = async (article) => {
-  try {
-    // 在函数内部创建带幂等功能的请求器
-    const req = createIdempotentRequest();
-    
-    const response = await req.post('/api/articles', article);
-    return response.data;
-  } catch (error) {
-    console.error('发布文章失败:', error);
-    throw error;
-  }
-};
+  // 更新、删除文章后清除文章列表和该文章详情缓存
+  client.addInvalidationRule({
+    method: ['put', 'patch', 'delete'],
+    url: '/api/articles/:id',
+    tags: ({ id }) => ['articles', `article-${id}`]
+  });
 
-/**
- * 获取文章详情
- * 使用重试功能，提高成功率
- * @param {string} id - 文章ID
- * @returns {Promise} 文章详情数据
- */
-export const getArticleDetail = async (id) => {
-  try {
-    // 在函数内部创建带重试功能的请求器
-    const req = createRetryRequestor(3); // 最多重试3次
-    
-    const response = await req.get(`/api/articles/${id}`);
-    return response.data;
-  } catch (error) {
-    console.error('获取文章详情失败:', error);
-    throw error;
-  }
-};
+  const api = client.defineApi({
+    /**
+     * 获取文章列表
+     * 使用缓存功能，避免重复请求；缓存在模块内共享，保证多次调用之间缓存可以命中和失效
+     * 缓存过期后先返回旧数据，同时在后台刷新
+     * @param {number} page - 页码
+     * @param {number} size - 每页数量
+     * @returns {Promise} 文章列表数据
+     */
+    getArticles: {
+      description: '获取文章列表',
+      method: 'get',
+      path: '/api/articles',
+      args: ['page', 'size'],
+      defaults: { page: 1, size: 10 },
+      cache: {
+        name: 'articles',
+        duration: 1000 * 60 * 30, // 缓存30分钟
+        tags: ['articles'],
+        mode: CACHE_MODE.STALE_WHILE_REVALIDATE
+      }
+    },
 
-/**
- * 更新文章
- * @param {string} id - 文章ID
- * @param {Object} article - 文章数据
- * @returns {Promise} 更新结果
- */
-export const updateArticle = async (id, article) => {
-  try {
-    // 在实际执行请求时获取请求器
-    const req = useRequestor();
-    const response = await req.put(`/api/articles/${id}`, article);
-    return response.data;
-  } catch (error) {
-    console.error('更新文章失败:', error);
-    throw error;
-  }
-};
+    /**
+     * 发布文章
+     * 使用幂等功能，确保重复提交（如双击按钮）只发送一次请求
+     * @param {Object} article - 文章数据
+     * @returns {Promise} 发布结果
+     */
+    publishArticle: {
+      description: '发布文章',
+      method: 'post',
+      path: '/api/articles',
+      args: ['article'],
+      data: 'article',
+      idempotent: true
+    },
 
-/**
- * 删除文章
- * @param {string} id - 文章ID
- * @returns {Promise} 删除结果
- */
-export const deleteArticle = async (id) => {
-  try {
-    // 在实际执行请求时获取请求器
-    const req = useRequestor();
-    const response = await req.delete(`/api/articles/${id}`);
-    return response.data;
-  } catch (error) {
-    console.error('删除文章失败:', error);
-    throw error;
-  }
-};
+    /**
+     * 获取文章详情
+     * 使用重试功能，提高成功率
+     * @param {string} id - 文章ID
+     * @returns {Promise} 文章详情数据
+     */
+    getArticleDetail: {
+      description: '获取文章详情',
+      method: 'get',
+      path: '/api/articles/:id',
+      args: ['id'],
+      retry: 3 // 最多重试3次
+    },
+
+    /**
+     * 更新文章
+     * @param {string} id - 文章ID
+     * @param {Object} article - 文章数据
+     * @returns {Promise} 更新结果
+     */
+    updateArticle: {
+      description: '更新文章',
+      method: 'put',
+      path: '/api/articles/:id',
+      args: ['id', 'article'],
+      data: 'article'
+    },
+
+    /**
+     * 删除文章
+     * @param {string} id - 文章ID
+     * @returns {Promise} 删除结果
+     */
+    deleteArticle: {
+      description: '删除文章',
+      method: 'delete',
+      path: '/api/articles/:id',
+      args: ['id']
+    },
+
+    /**
+     * 上传文章图片
+     * @param {File|Blob} file - 图片文件
+     * @param {Function} onProgress - 上传进度回调，参数为进度事件（loaded、total、progress）
+     * @returns {Promise} 上传结果
+     */
+    uploadArticleImage: {
+      description: '上传文章图片',
+      method: 'post',
+      path: '/api/articles/images',
+      args: ['file', 'onProgress'],
+      data: ({ file }) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        return formData;
+      },
+      config: ({ onProgress }) => ({ onUploadProgress: onProgress })
+    }
+  });
+
+  /**
+   * 订阅文章列表更新
+   * 文章列表从网络获取到新数据时触发，例如缓存过期后的后台刷新完成时
+   * @param {Function} listener - 回调函数，参数为最新的文章列表数据
+   * @returns {Function} 取消订阅的函数
+   */
+  const subscribeArticles = (listener) => {
+    return api.getArticles.cache.subscribe((response) => listener(response.data));
+  };
 
-// 导出文章模块所有方法
-export default {
-  getArticles,
-  publishArticle,
-  getArticleDetail,
-  updateArticle,
-  deleteArticle
-};
+  return {
+    ...api,
+    subscribeArticles
+  };
+}
@@ -2,79 +2,89 @@
  * 用户模块请求方法
  * 集中管理与用户相关的所有API请求
  */
-import { useRequestor } from '../../../request-core/index.js';
 
 /**
- * 获取用户信息
- * @param {string} userId - 用户ID
- * @returns {Promise} 用户信息数据
+ * 创建用户模块
+ * 模块内的请求均通过传入的客户端发送，可绑定到不同的后端
+ * @param {Object} client - 请求客户端，通过createClient创建
+ * @returns {Object} 用户模块所有方法
  */
-export const getUserInfo = async (userId) => {
-  try {
-    const req = useRequestor();
-    const response = await req.get(`/api/users/${userId}`);
-    return response.data;
-  } catch (error) {
-    console.error('获取用户信息失败:', error);
-    throw error;
-  }
-};
+export function createUserModule(client) {
+  const api = client.defineApi({
+    /**
+     * 获取用户信息
+     * @param {string} userId - 用户ID
+     * @returns {Promise} 用户信息数据
+     */
+    getUserInfo: {
+      description: '获取用户信息',
+      method: 'get',
+      path: '/api/users/:userId',
+      args: ['userId']
+    },
 
-/**
- * 登录
- * @param {Object} credentials - 登录凭证
- * @param {string} credentials.username - 用户名
- * @param {string} credentials.password - 密码
- * @returns {Promise} 登录结果
- */
-export const login = async (credentials) => {
-  try {
-    const req = useRequestor();
-    const response = await req.post('/api/login', credentials);
-    return response.data;
-  } catch (error) {
-    console.error('登录失败:', error);
-    throw error;
-  }
-};
+    /**
+     * 登录请求，不携带旧token，也不触发token刷新
+     */
+    requestLogin: {
+      description: '登录',
+      method: 'post',
+      path: '/api/login',
+      args: ['credentials'],
+      data: 'credentials',
+      config: { skipAuth: true }
+    },
 
-/**
- * 注册
- * @param {Object} userData - 用户注册数据
- * @returns {Promise} 注册结果
- */
-export const register = async (userData) => {
-  try {
-    const req = useRequestor();
-    const response = await req.post('/api/register', userData);
-    return response.data;
-  } catch (error) {
-    console.error('注册失败:', error);
-    throw error;
-  }
-};
+    /**
+     * 注册
+     * @param {Object} userData - 用户注册数据
+     * @returns {Promise} 注册结果
+     */
+    register: {
+      description: '注册',
+      method: 'post',
+      path: '/api/register',
+      args: ['userData'],
+      data: 'userData'
+    },
 
-/**
- * 更新用户信息
- * @param {string} userId - 用户ID
- * @param {Object} userData - 用户信息
- * @returns {Promise} 更新结果
- */
-export const updateUserInfo = async (userId, userData) => {
-  try {
-    const req = useRequestor();
-    const response = await req.put(`/api/users/${userId}`, userData);
-    return response.data;
-  } catch (error) {
-    console.error('更新用户信息失败:', error);
-    throw error;
-  }
-};
+    /**
+     * 更新用户信息
+     * @param {string} userId - 用户ID
+     * @param {Object} userData - 用户信息
+     * @returns {Promise} 更新结果
+     */
+    updateUserInfo: {
+      description: '更新用户信息',
+      method: 'put',
+      path: '/api/users/:userId',
+      args: ['userId', 'userData'],
+      data: 'userData'
+    }
+  });
+
+  /**
+   * 登录
+   * @param {Object} credentials - 登录凭证
+   * @param {string} credentials.username - 用户名
+   * @param {string} credentials.password - 密码
+   * @returns {Promise} 登录结果
+   */
+  const login = async (credentials) => {
+    const data = await api.requestLogin(credentials);
+
+    // 客户端安装了认证管理器时保存登录返回的token，后续请求自动携带
+    const auth = client.getAuth();
+    if (auth) {
+      auth.setToken(data);
+    }
+    return data;
+  };
 
-// 导出用户模块所有方法
-export default {
-  getUserInfo,
-  login,
-  register,
-  updateUserInfo
-};
+  return {
+    getUserInfo: api.getUserInfo,
+    login,
+    register: api.register,
+    updateUserInfo: api.updateUserInfo
+  };
+}
@@ -1,3 +0,0 @@
-export const publishArticle = () => {
-  console.log('patch publishArticle');
-};
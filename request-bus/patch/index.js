@@ -0,0 +1,256 @@
+/**
+ * 业务方法补丁
+ * 在不修改业务模块（包括生成的模块）源码的情况下替换或包装其中的方法，
+ * 用于定制部署、A/B测试等场景。补丁在调用时生效，移除后立即恢复原实现
+ * 补丁注册在请求客户端的注册表中，只作用于绑定到该客户端的业务模块；全局补丁即默认客户端的注册表
+ */
+import { defaultClient } from '../../request-core/index.js';
+
+/**
+ * @typedef {Object} PatchDefinition
+ * @property {string} target - 补丁目标，格式为 模块名.方法名，如 article.publishArticle
+ * @property {Function} [replace] - 替换原方法的实现
+ * @property {Function} [wrap] - (original, context) => 新实现，original为原方法（或先注册的补丁），
+ * context为 { client, module, method }，补丁变化后会重新调用
+ * @property {Function} [enabled] - (...args) => boolean，每次调用时判断补丁是否生效，不生效时调用原方法
+ * @property {string} [name] - 补丁名称，用于移除补丁，默认为target
+ */
+
+// 注册表中的补丁列表，只供patchModule读取
+const PATCH_ENTRIES = Symbol('patchEntries');
+
+// 各客户端的补丁注册表
+const clientRegistries = new WeakMap();
+
+/**
+ * 校验并整理补丁定义
+ * @param {PatchDefinition} patch - 补丁定义
+ * @returns {Object} 整理后的补丁
+ * @throws {TypeError} 补丁定义不正确时抛出错误
+ */
+function normalizePatch(patch) {
+  const { target, replace, wrap, enabled, name = target } = patch || {};
+  const match = /^([^.]+)\.([^.]+)$/.exec(target || '');
+  if (!match) {
+    throw new TypeError(`Invalid patch target "${target}", expected "module.method"`);
+  }
+  const hasReplace = typeof replace === 'function';
+  const hasWrap = typeof wrap === 'function';
+  if (hasReplace === hasWrap) {
+    throw new TypeError(`Patch "${name}" requires exactly one of replace or wrap`);
+  }
+  if (enabled !== undefined && typeof enabled !== 'function') {
+    throw new TypeError(`Patch "${name}" enabled must be a function`);
+  }
+
+  return {
+    name,
+    target,
+    module: match[1],
+    method: match[2],
+    wrap: wrap || (() => replace),
+    enabled: enabled || null
+  };
+}
+
+/**
+ * 创建补丁注册表
+ * 每个请求客户端有独立的注册表，注册的补丁只作用于绑定到该客户端的业务模块
+ * @returns {Object} 补丁注册表 { registerPatch, removePatch, clearPatches, getPatches }
+ */
+export function createPatchRegistry() {
+  // 按注册顺序排列，后注册的补丁包装先注册的
+  const entries = [];
+
+  return {
+    /**
+     * 注册补丁，对已创建的业务模块立即生效
+     * @param {PatchDefinition} patch - 补丁定义
+     * @returns {Function} 移除该补丁的函数
+     */
+    registerPatch: function(patch) {
+      const entry = normalizePatch(patch);
+      entries.push(entry);
+      return () => {
+        const index = entries.indexOf(entry);
+        if (index !== -1) {
+          entries.splice(index, 1);
+        }
+      };
+    },
+
+    /**
+     * 按名称移除补丁
+     * @param {string} name - 补丁名称
+     * @returns {boolean} 是否移除了补丁
+     */
+    removePatch: function(name) {
+      const before = entries.length;
+      for (let index = entries.length - 1; index >= 0; index--) {
+        if (entries[index].name === name) {
+          entries.splice(index, 1);
+        }
+      }
+      return entries.length !== before;
+    },
+
+    /**
+     * 移除所有补丁
+     */
+    clearPatches: function() {
+      entries.length = 0;
+    },
+
+    /**
+     * 获取已注册的补丁
+     * @returns {Array<Object>} 补丁列表，每项为 { name, target }
+     */
+    getPatches: function() {
+      return entries.map(({ name, target }) => ({ name, target }));
+    },
+
+    [PATCH_ENTRIES]: entries
+  };
+}
+
+/**
+ * 获取客户端的补丁注册表，第一次获取时创建
+ * @param {Object} client - 请求客户端
+ * @returns {Object} 补丁注册表，见createPatchRegistry
+ */
+export function getPatchRegistry(client) {
+  if (!clientRegistries.has(client)) {
+    clientRegistries.set(client, createPatchRegistry());
+  }
+  return clientRegistries.get(client);
+}
+
+// 全局补丁使用默认客户端的注册表，只作用于initRequest返回的业务模块
+const globalRegistry = getPatchRegistry(defaultClient);
+
+/**
+ * 注册全局补丁，对绑定到默认客户端的业务模块（initRequest返回的业务模块）生效
+ * 其他客户端的业务模块使用各自的注册表，见getPatchRegistry
+ * @param {PatchDefinition} patch - 补丁定义
+ * @returns {Function} 移除该补丁的函数
+ */
+export function registerPatch(patch) {
+  return globalRegistry.registerPatch(patch);
+}
+
+/**
+ * 按名称移除全局补丁
+ * @param {string} name - 补丁名称
+ * @returns {boolean} 是否移除了补丁
+ */
+export function removePatch(name) {
+  return globalRegistry.removePatch(name);
+}
+
+/**
+ * 移除所有全局补丁
+ */
+export function clearPatches() {
+  globalRegistry.clearPatches();
+}
+
+/**
+ * 获取已注册的全局补丁
+ * @returns {Array<Object>} 补丁列表，每项为 { name, target }
+ */
+export function getPatches() {
+  return globalRegistry.getPatches();
+}
+
+/**
+ * 按注册顺序组合补丁
+ * @param {Array<Object>} patches - 作用于该方法的补丁
+ * @param {Function} original - 原方法
+ * @param {Object} context - 补丁上下文 { client, module, method }
+ * @returns {Function} 组合后的方法
+ */
+function composePatches(patches, original, context) {
+  return patches.reduce((next, patch) => {
+    const implementation = patch.wrap(next, context);
+    if (typeof implementation !== 'function') {
+      throw new TypeError(`Patch "${patch.name}" must provide a function`);
+    }
+    if (!patch.enabled) {
+      return implementation;
+    }
+    return function(...args) {
+      return patch.enabled(...args) ? implementation.apply(this, args) : next.apply(this, args);
+    };
+  }, original);
+}
+
+/**
+ * 判断两个补丁列表是否相同
+ * @param {Array<Object>} a - 补丁列表
+ * @param {Array<Object>} b - 补丁列表
+ * @returns {boolean} 是否相同
+ */
+function samePatches(a, b) {
+  return a.length === b.length && a.every((patch, index) => patch === b[index]);
+}
+
+/**
+ * 创建应用补丁的业务模块
+ * 返回的模块方法在每次调用时按当前注册的补丁分派，原模块保持不变
+ * @param {string} moduleName - 模块名，与补丁target中的模块名对应
+ * @param {Object} module - 业务模块
+ * @param {Object} options - 选项
+ * @param {Object} options.client - 模块绑定的请求客户端，传给wrap的context，并应用该客户端注册表中的补丁；未指定时应用全局补丁
+ * @param {Array<PatchDefinition>} options.patches - 只作用于该模块的补丁，在注册表中的补丁之后应用
+ * @returns {Object} 应用补丁的业务模块
+ */
+export function patchModule(moduleName, module, options = {}) {
+  const { client = null, patches = [] } = options;
+  const registered = (client ? getPatchRegistry(client) : globalRegistry)[PATCH_ENTRIES];
+  const localPatches = patches.map(normalizePatch).filter(patch => patch.module === moduleName);
+  const patched = {};
+
+  Object.keys(module).forEach(method => {
+    const original = module[method];
+    if (typeof original !== 'function') {
+      patched[method] = original;
+      return;
+    }
+
+    const context = { client, module: moduleName, method };
+    let applied = [];
+    let implementation = original;
+
+    // 补丁变化后才重新组合
+    const resolve = () => {
+      const current = [...registered, ...localPatches].filter(
+        patch => patch.module === moduleName && patch.method === method
+      );
+      if (!samePatches(current, applied)) {
+        implementation = composePatches(current, original, context);
+        applied = current;
+      }
+      return implementation;
+    };
+
+    patched[method] = function(...args) {
+      return resolve().apply(this, args);
+    };
+    // 保留原方法上的属性，如defineApi接口的cache和endpoint
+    Object.assign(patched[method], original);
+  });
+
+  return patched;
+}
+
+/**
+ * 为多个业务模块应用补丁
+ * @param {Object} modules - 业务模块，键为模块名
+ * @param {Object} options - 选项，见patchModule
+ * @returns {Object} 应用补丁的业务模块
+ */
+export function patchModules(modules, options = {}) {
+  return Object.fromEntries(
+    Object.entries(modules).map(([name, module]) => [name, patchModule(name, module, options)])
+  );
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI代码生成命令行
+ * 用法：node request-codegen/cli.js <规范文件> [--out 输出目录] [--core request-core入口] [--tags tag1,tag2] [--dry-run]
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadSpec } from './openapi.js';
+import { generateModules } from './generator.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `用法：node request-codegen/cli.js <规范文件> [选项]
+
+选项：
+  --out <目录>       输出目录，默认 request-bus/generated
+  --core <文件>      request-core入口文件，默认 request-core/index.js
+  --tags <列表>      只生成指定tag的模块，以逗号分隔
+  --dry-run          只打印将要生成的文件，不写入
+  --help             显示帮助`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} 选项
+ */
+function parseArgs(argv) {
+  const options = {
+    spec: null,
+    out: join(ROOT, 'request-bus', 'generated'),
+    core: join(ROOT, 'request-core', 'index.js'),
+    tags: null,
+    dryRun: false,
+    help: false
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const readValue = () => {
+      const value = argv[++index];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return value;
+    };
+
+    if (arg === '--out') {
+      options.out = resolve(readValue());
+    } else if (arg === '--core') {
+      options.core = resolve(readValue());
+    } else if (arg === '--tags') {
+      options.tags = readValue().split(',').map(tag => tag.trim()).filter(Boolean);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.spec = resolve(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * 计算模块文件中request-core的导入路径，模块文件位于 <输出目录>/<模块名>/index.js
+ * @param {string} out - 输出目录
+ * @param {string} core - request-core入口文件
+ * @returns {string} 相对导入路径
+ */
+function getCoreImport(out, core) {
+  const path = relative(join(out, 'module'), core).split(sep).join('/');
+  return path.startsWith('.') ? path : `./${path}`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.spec) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  const spec = await loadSpec(options.spec);
+  const files = generateModules(spec, {
+    coreImport: getCoreImport(options.out, options.core),
+    tags: options.tags
+  });
+
+  for (const [file, content] of Object.entries(files)) {
+    const target = join(options.out, file);
+    if (!options.dryRun) {
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, content);
+    }
+    console.log(`${options.dryRun ? '将生成' : '已生成'} ${relative(process.cwd(), target)}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('生成失败:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,450 @@
+/**
+ * 业务模块生成
+ * 按tag将接口分组，每组生成一个使用defineApi声明接口的业务模块（与request-bus/modules中的模块结构一致），
+ * 同时生成JSDoc注释和TypeScript声明文件
+ */
+
+import { collectOperations, toCamelCase, toPascalCase } from './openapi.js';
+import { schemaToType, collectRefs, propertyKey, toTypeName } from './types.js';
+
+// 需要指定Content-Type的请求体类型，request-core会据此将对象转换为FormData或URL编码字符串
+const FORM_CONTENT_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+
+/**
+ * 生成JavaScript字面量，字符串使用单引号，属性名是合法标识符时不加引号
+ * @param {*} value - 值
+ * @returns {string} 字面量
+ */
+export function toLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toLiteral).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${propertyKey(key)}: ${toLiteral(item)}`);
+    return entries.length === 0 ? '{}' : `{ ${entries.join(', ')} }`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+  return String(value);
+}
+
+/**
+ * 生成注释文本，去掉会提前结束注释的字符
+ * @param {string} text - 文本
+ * @returns {Array<string>} 注释行
+ */
+function commentLines(text) {
+  return String(text || '')
+    .replace(/\*\//g, '*\\/')
+    .split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter((line, index, lines) => line || (index > 0 && index < lines.length - 1));
+}
+
+/**
+ * 生成JSDoc注释块
+ * @param {Array<string>} lines - 注释行
+ * @param {string} indent - 缩进
+ * @returns {string} 注释块
+ */
+function docBlock(lines, indent) {
+  return [`${indent}/**`, ...lines.map(line => (line ? `${indent} * ${line}` : `${indent} *`)), `${indent} */`].join('\n');
+}
+
+/**
+ * JSDoc中使用的类型，多行的对象类型简化为Object
+ * @param {string} type - TypeScript类型
+ * @returns {string} JSDoc类型
+ */
+function jsdocType(type) {
+  return type.includes('\n') ? 'Object' : type;
+}
+
+/**
+ * 生成接口的参数、定义和类型信息
+ * @param {Object} operation - 接口信息，见collectOperations
+ * @returns {Object} 接口生成信息
+ */
+function buildEndpoint(operation) {
+  const { pathParams, queryParams, requestBody, response, options } = operation;
+  const refs = new Set();
+  const params = [];
+
+  // 路径参数按在路径中出现的顺序排列
+  [...pathParams]
+    .sort((a, b) => operation.path.indexOf(`:${a.identifier}`) - operation.path.indexOf(`:${b.identifier}`))
+    .forEach(parameter => {
+      collectRefs(parameter.schema, refs);
+      params.push({
+        name: parameter.identifier,
+        type: schemaToType(parameter.schema, '  '),
+        description: parameter.description || '',
+        required: true
+      });
+    });
+
+  // 请求体参数以引用的类型命名，如 ArticleInput 命名为 articleInput
+  let bodyName = null;
+  if (requestBody) {
+    const { schema } = requestBody;
+    bodyName = schema && schema.$ref ? toCamelCase(schema.$ref.split('/').pop()) : 'data';
+    if (bodyName === 'query' || params.some(param => param.name === bodyName)) {
+      bodyName = 'data';
+    }
+    collectRefs(schema, refs);
+    let type = schemaToType(schema, '  ');
+    if (requestBody.contentType === 'multipart/form-data') {
+      type = `${type} | FormData`;
+    }
+    params.push({
+      name: bodyName,
+      type,
+      description: requestBody.description || '请求体',
+      required: requestBody.required
+    });
+  }
+
+  // 查询参数合并为一个参数对象，参数的默认值在请求时补充
+  const queryDefaults = {};
+  if (queryParams.length > 0) {
+    const querySchema = { type: 'object', properties: {}, required: [] };
+    queryParams.forEach(parameter => {
+      collectRefs(parameter.schema, refs);
+      querySchema.properties[parameter.name] = {
+        ...parameter.schema,
+        description: parameter.description || parameter.schema.description
+      };
+      if (parameter.required) {
+        querySchema.required.push(parameter.name);
+      }
+      if (parameter.schema.default !== undefined) {
+        queryDefaults[parameter.name] = parameter.schema.default;
+      }
+    });
+    params.push({
+      name: 'query',
+      type: schemaToType(querySchema, '  '),
+      description: '查询参数',
+      required: querySchema.required.length > 0,
+      fields: queryParams
+    });
+  }
+
+  // 必填参数之前的参数也必须传入
+  let optionalTail = true;
+  for (let index = params.length - 1; index >= 0; index--) {
+    if (params[index].required) {
+      optionalTail = false;
+    }
+    params[index].optional = optionalTail && !params[index].required;
+  }
+
+  let responseType = 'void';
+  if (response) {
+    collectRefs(response.schema, refs);
+    if (/json/.test(response.contentType)) {
+      responseType = schemaToType(response.schema, '  ');
+    } else {
+      responseType = /^text\//.test(response.contentType) ? 'string' : 'Blob';
+    }
+  }
+
+  // defineApi接口定义
+  const definition = {
+    description: commentLines(operation.summary)[0] || operation.name,
+    method: operation.method,
+    path: operation.path
+  };
+  // 没有参数时同样声明args，调用时的第一个参数作为请求配置而不是参数对象
+  definition.args = params.map(param => param.name);
+  if (queryParams.length > 0) {
+    definition.params = Object.keys(queryDefaults).length > 0
+      ? { code: `({ query }) => (${toLiteral(queryDefaults).replace(/ }$/, ', ...query }')})` }
+      : 'query';
+  }
+  if (bodyName) {
+    definition.data = bodyName;
+  }
+
+  const config = {};
+  if (requestBody && FORM_CONTENT_TYPES.includes(requestBody.contentType)) {
+    config.headers = { 'Content-Type': requestBody.contentType };
+  }
+  if (response && !/json/.test(response.contentType)) {
+    config.responseType = /^text\//.test(response.contentType) ? 'text' : 'blob';
+  }
+  if (options.timeout) {
+    config.timeout = options.timeout;
+  }
+  if (Object.keys(config).length > 0) {
+    definition.config = config;
+  }
+  ['cache', 'idempotent', 'retry'].forEach(key => {
+    if (options[key] !== undefined) {
+      definition[key] = options[key];
+    }
+  });
+
+  return { operation, params, responseType, definition, refs };
+}
+
+/**
+ * 生成接口的JSDoc注释
+ * @param {Object} endpoint - 接口生成信息
+ * @returns {Array<string>} 注释行
+ */
+function endpointDocLines(endpoint) {
+  const { operation, params, responseType } = endpoint;
+  const lines = [...commentLines(operation.summary || operation.name)];
+  const description = commentLines(operation.description);
+  if (description.length > 0) {
+    lines.push(...description);
+  }
+  lines.push(`${operation.method.toUpperCase()} ${operation.path}`);
+  if (operation.deprecated) {
+    lines.push('@deprecated');
+  }
+
+  params.forEach(param => {
+    const name = param.optional ? `[${param.name}]` : param.name;
+    lines.push(`@param {${jsdocType(param.type)}} ${name} - ${commentLines(param.description)[0] || param.name}`);
+    (param.fields || []).forEach(field => {
+      const fieldName = field.required ? `query.${field.name}` : `[query.${field.name}]`;
+      const fieldType = jsdocType(schemaToType(field.schema));
+      lines.push(`@param {${fieldType}} ${fieldName} - ${commentLines(field.description)[0] || field.name}`);
+    });
+  });
+  lines.push('@param {Object} [config] - 单次请求配置');
+  lines.push(`@returns {Promise<${jsdocType(responseType)}>} 响应数据`);
+  return lines;
+}
+
+/**
+ * 生成接口定义代码
+ * @param {Object} definition - 接口定义
+ * @param {string} indent - 缩进
+ * @returns {string} 对象字面量代码
+ */
+function definitionCode(definition, indent) {
+  const inner = `${indent}  `;
+  const entries = Object.entries(definition).map(([key, value]) => {
+    const code = value && value.code ? value.code : toLiteral(value);
+    return `${inner}${key}: ${code}`;
+  });
+  return `{\n${entries.join(',\n')}\n${indent}}`;
+}
+
+/**
+ * 生成TypeScript方法签名
+ * @param {Object} endpoint - 接口生成信息
+ * @returns {string} 方法签名
+ */
+function signature(endpoint) {
+  const params = endpoint.params.map(param => `${param.name}${param.optional ? '?' : ''}: ${param.type}`);
+  params.push('config?: RequestConfig');
+  return `${endpoint.operation.name}(${params.join(', ')}): Promise<${endpoint.responseType}>`;
+}
+
+/**
+ * 生成文件头注释
+ * @param {string} title - 标题
+ * @param {Object} info - 规范的info
+ * @returns {Array<string>} 注释行
+ */
+function headerLines(title, info = {}) {
+  const source = [info.title, info.version].filter(Boolean).join(' ');
+  return [
+    ...commentLines(title),
+    `根据OpenAPI规范${source ? `（${source}）` : ''}生成，请勿手动修改，接口变更后重新运行 npm run generate:api`
+  ];
+}
+
+/**
+ * 生成单个业务模块
+ * @param {Object} module - 模块信息 { name, tag, description, endpoints }
+ * @param {Object} context - 生成上下文 { info, coreImport }
+ * @returns {Object} { js, dts }
+ */
+function generateModule(module, context) {
+  const factory = `create${toPascalCase(module.name)}Module`;
+  const title = module.description ? `${module.tag}模块请求方法：${module.description}` : `${module.tag}模块请求方法`;
+  const refs = new Set();
+  module.endpoints.forEach(endpoint => endpoint.refs.forEach(ref => refs.add(ref)));
+  const typeNames = [...refs].sort();
+
+  const js = [
+    docBlock(headerLines(title, context.info), ''),
+    `import { defaultClient } from '${context.coreImport}';`,
+    '',
+    ...typeNames.map(name => `/** @typedef {import('../types').${name}} ${name} */`),
+    ...(typeNames.length > 0 ? [''] : []),
+    docBlock([
+      `创建${module.tag}模块`,
+      '模块内的请求均通过传入的客户端发送，可绑定到不同的后端',
+      '@param {Object} client - 请求客户端，通过createClient创建',
+      `@returns {Object} ${module.tag}模块所有方法`
+    ], ''),
+    `export function ${factory}(client) {`,
+    '  return client.defineApi({',
+    module.endpoints
+      .map(endpoint => [
+        docBlock(endpointDocLines(endpoint), '    '),
+        `    ${endpoint.operation.name}: ${definitionCode(endpoint.definition, '    ')}`
+      ].join('\n'))
+      .join(',\n\n'),
+    '  });',
+    '}',
+    '',
+    `// 绑定到默认客户端的${module.tag}模块`,
+    `const defaultModule = ${factory}(defaultClient);`,
+    '',
+    ...module.endpoints.map(({ operation }) => `export const ${operation.name} = defaultModule.${operation.name};`),
+    '',
+    `// 导出${module.tag}模块所有方法`,
+    'export default defaultModule;',
+    ''
+  ].join('\n');
+
+  const moduleType = `${toPascalCase(module.name)}Module`;
+  const dts = [
+    docBlock(headerLines(title, context.info), ''),
+    `import type { RequestConfig${typeNames.map(name => `, ${name}`).join('')} } from '../types';`,
+    '',
+    `export interface ${moduleType} {`,
+    module.endpoints
+      .map(endpoint => `${docBlock(endpointDocLines(endpoint).filter(line => !line.startsWith('@param') && !line.startsWith('@returns')), '  ')}\n  ${signature(endpoint)};`)
+      .join('\n\n'),
+    '}',
+    '',
+    `export declare function ${factory}(client: unknown): ${moduleType};`,
+    '',
+    ...module.endpoints.map(({ operation }) => `export declare const ${operation.name}: ${moduleType}['${operation.name}'];`),
+    '',
+    `declare const defaultModule: ${moduleType};`,
+    'export default defaultModule;',
+    ''
+  ].join('\n');
+
+  return { js, dts };
+}
+
+/**
+ * 生成components.schemas中的类型声明
+ * @param {Object} spec - 规范对象
+ * @returns {string} types.d.ts内容
+ */
+function generateTypes(spec) {
+  const schemas = (spec.components && spec.components.schemas) || {};
+  const declarations = Object.entries(schemas).map(([name, schema]) => {
+    const typeName = toTypeName(name);
+    const comment = schema.description ? `${docBlock(commentLines(schema.description), '')}\n` : '';
+    const isInterface = schema.properties && !schema.allOf && !schema.oneOf && !schema.anyOf && !schema.nullable;
+    return isInterface
+      ? `${comment}export interface ${typeName} ${schemaToType({ ...schema, type: 'object' })}`
+      : `${comment}export type ${typeName} = ${schemaToType(schema)};`;
+  });
+
+  return [
+    docBlock(headerLines('接口数据类型', spec.info), ''),
+    '',
+    '/**',
+    ' * 单次请求配置，同request-core的请求配置',
+    ' */',
+    'export interface RequestConfig {',
+    '  headers?: Record<string, string>;',
+    '  timeout?: number;',
+    '  signal?: AbortSignal;',
+    '  [key: string]: unknown;',
+    '}',
+    ...declarations.map(declaration => `\n${declaration}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * 生成入口文件
+ * @param {Array<Object>} modules - 模块信息
+ * @param {Object} info - 规范的info
+ * @returns {Object} { js, dts }
+ */
+function generateIndex(modules, info) {
+  const header = docBlock(headerLines('OpenAPI业务模块入口', info), '');
+  const js = [
+    header,
+    ...modules.map(module => `import { create${toPascalCase(module.name)}Module } from './${module.name}/index.js';`),
+    '',
+    '// 按需导出各个业务模块（绑定到默认客户端）',
+    ...modules.map(module => `export * as ${module.name} from './${module.name}/index.js';`),
+    '',
+    docBlock([
+      '将所有生成的业务模块绑定到指定客户端',
+      '@param {Object} client - 请求客户端，通过createClient创建',
+      '@returns {Object} 绑定到该客户端的业务模块'
+    ], ''),
+    'export function bindModules(client) {',
+    '  return {',
+    modules.map(module => `    ${module.name}: create${toPascalCase(module.name)}Module(client)`).join(',\n'),
+    '  };',
+    '}',
+    ''
+  ].join('\n');
+
+  const dts = [
+    header,
+    ...modules.map(module => `import type { ${toPascalCase(module.name)}Module } from './${module.name}/index';`),
+    '',
+    ...modules.map(module => `export * as ${module.name} from './${module.name}/index';`),
+    "export * from './types';",
+    '',
+    'export declare function bindModules(client: unknown): {',
+    ...modules.map(module => `  ${module.name}: ${toPascalCase(module.name)}Module;`),
+    '};',
+    ''
+  ].join('\n');
+
+  return { js, dts };
+}
+
+/**
+ * 根据OpenAPI规范生成业务模块
+ * @param {Object} spec - 规范对象
+ * @param {Object} options - 生成选项
+ * @param {string} options.coreImport - 模块文件中request-core的导入路径，默认 ../../../request-core/index.js
+ * @param {Array<string>} options.tags - 只生成指定tag的模块，默认全部
+ * @returns {Object<string, string>} 以相对路径为键的文件内容，如 article/index.js、types.d.ts
+ */
+export function generateModules(spec, options = {}) {
+  const { coreImport = '../../../request-core/index.js', tags = null } = options;
+  const tagDescriptions = {};
+  (spec.tags || []).forEach(tag => {
+    tagDescriptions[tag.name] = tag.description || '';
+  });
+
+  const modules = [];
+  collectOperations(spec).forEach(operation => {
+    if (tags && !tags.includes(operation.tag)) {
+      return;
+    }
+    const name = toCamelCase(operation.tag);
+    let module = modules.find(item => item.name === name);
+    if (!module) {
+      module = { name, tag: operation.tag, description: tagDescriptions[operation.tag] || '', endpoints: [] };
+      modules.push(module);
+    }
+    module.endpoints.push(buildEndpoint(operation));
+  });
+
+  const context = { info: spec.info, coreImport };
+  const files = {};
+  modules.forEach(module => {
+    const { js, dts } = generateModule(module, context);
+    files[`${module.name}/index.js`] = js;
+    files[`${module.name}/index.d.ts`] = dts;
+  });
+  const index = generateIndex(modules, spec.info);
+  files['index.js'] = index.js;
+  files['index.d.ts'] = index.dts;
+  files['types.d.ts'] = generateTypes(spec);
+  return files;
+}
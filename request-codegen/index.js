@@ -0,0 +1,8 @@
+/**
+ * OpenAPI代码生成
+ * 读取OpenAPI 3规范（JSON/YAML），按tag生成使用request-core的业务模块
+ */
+
+export { loadSpec, parseSpec, collectOperations } from './openapi.js';
+export { schemaToType } from './types.js';
+export { generateModules } from './generator.js';
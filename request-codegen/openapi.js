@@ -0,0 +1,247 @@
+/**
+ * OpenAPI规范读取
+ * 解析JSON/YAML格式的OpenAPI 3规范，整理出生成业务模块所需的接口信息
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+
+// 支持生成的请求方法，与request-core的请求方法一致
+export const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// 未设置tags的接口归入的模块
+export const DEFAULT_TAG = 'common';
+
+// 不能用作模块名和方法名的保留字
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'yield'
+]);
+
+/**
+ * 将名称拆分为单词，如 get-article-detail、GetArticleDetail 均拆分为 get、article、detail
+ * @param {string} name - 名称
+ * @returns {Array<string>} 小写单词
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * 单词首字母大写
+ * @param {string} word - 单词
+ * @returns {string} 首字母大写的单词
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * 将名称转换为驼峰形式的标识符，如 get-article-detail 转换为 getArticleDetail，保留字添加下划线前缀
+ * @param {string} name - 名称
+ * @returns {string} 驼峰标识符
+ */
+export function toCamelCase(name) {
+  const identifier = splitWords(name).map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+  return /^[0-9]/.test(identifier) || RESERVED_WORDS.has(identifier) ? `_${identifier}` : identifier || '_';
+}
+
+/**
+ * 将名称转换为首字母大写的标识符，如 article-input 转换为 ArticleInput
+ * @param {string} name - 名称
+ * @returns {string} 标识符
+ */
+export function toPascalCase(name) {
+  const identifier = splitWords(name).map(capitalize).join('');
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier || '_';
+}
+
+/**
+ * 解析规范文本
+ * @param {string} text - 规范内容
+ * @param {string} filename - 文件名，根据扩展名判断格式，.json以外按YAML解析
+ * @returns {Object} 规范对象
+ * @throws {Error} 不是OpenAPI 3规范时抛出错误
+ */
+export function parseSpec(text, filename = '') {
+  const spec = extname(filename).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error(`${filename || 'Specification'} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+/**
+ * 读取规范文件
+ * @param {string} file - 文件路径
+ * @returns {Promise<Object>} 规范对象
+ */
+export async function loadSpec(file) {
+  return parseSpec(await readFile(file, 'utf8'), file);
+}
+
+/**
+ * 解析文档内的$ref引用，如 #/components/parameters/Page
+ * @param {Object} spec - 规范对象
+ * @param {Object} value - 可能带有$ref的对象
+ * @returns {Object} 引用的对象，不是引用时原样返回
+ * @throws {Error} 引用不存在或不是文档内引用时抛出错误
+ */
+export function resolveRef(spec, value) {
+  let current = value;
+  const seen = new Set();
+  while (current && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    if (!ref.startsWith('#/') || seen.has(ref)) {
+      throw new Error(`Unsupported reference: ${ref}`);
+    }
+    seen.add(ref);
+    current = ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node ? node[part] : undefined), spec);
+    if (current === undefined) {
+      throw new Error(`Reference not found: ${ref}`);
+    }
+  }
+  return current;
+}
+
+/**
+ * 从content中选取媒体类型，优先JSON
+ * @param {Object} content - 请求体或响应的content
+ * @returns {Object|null} { contentType, schema }
+ */
+function pickContent(content) {
+  const types = Object.keys(content || {});
+  if (types.length === 0) {
+    return null;
+  }
+  const contentType = types.find(type => /^application\/(.+\+)?json/.test(type)) || types[0];
+  return { contentType, schema: content[contentType].schema || null };
+}
+
+/**
+ * 合并路径级和接口级参数，接口级参数覆盖同名同位置的路径级参数
+ * @param {Object} spec - 规范对象
+ * @param {Array} pathParameters - 路径级参数
+ * @param {Array} operationParameters - 接口级参数
+ * @returns {Array<Object>} 参数列表
+ */
+function mergeParameters(spec, pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+  [...pathParameters, ...operationParameters].forEach(item => {
+    const parameter = resolveRef(spec, item);
+    merged.set(`${parameter.in}:${parameter.name}`, {
+      ...parameter,
+      schema: parameter.schema || {}
+    });
+  });
+  return [...merged.values()];
+}
+
+/**
+ * 取第一个2xx响应
+ * @param {Object} spec - 规范对象
+ * @param {Object} responses - 接口的responses
+ * @returns {Object|null} { contentType, schema }，没有响应体时为null
+ */
+function pickSuccessResponse(spec, responses = {}) {
+  const status = Object.keys(responses)
+    .filter(code => /^2(\d\d|XX)$/i.test(code))
+    .sort()[0] || (responses.default ? 'default' : null);
+  if (!status) {
+    return null;
+  }
+  return pickContent(resolveRef(spec, responses[status]).content);
+}
+
+/**
+ * 根据请求方法和路径生成接口名，如 GET /api/articles/{id} 生成 getApiArticlesById
+ * @param {string} method - 请求方法
+ * @param {string} path - 请求路径
+ * @returns {string} 接口名
+ */
+function nameFromPath(method, path) {
+  const parts = path
+    .split('/')
+    .filter(Boolean)
+    .map(segment => {
+      const match = /^\{(.+)\}$/.exec(segment);
+      return match ? `By-${match[1]}` : segment;
+    });
+  return toCamelCase([method, ...parts].join('-'));
+}
+
+/**
+ * 整理规范中的所有接口
+ * 路径参数名转换为驼峰标识符，路径转换为 /api/articles/:id 的形式
+ * @param {Object} spec - 规范对象
+ * @returns {Array<Object>} 接口列表
+ */
+export function collectOperations(spec) {
+  const operations = [];
+  const usedNames = new Set();
+
+  Object.entries(spec.paths || {}).forEach(([path, rawPathItem]) => {
+    const pathItem = resolveRef(spec, rawPathItem);
+    HTTP_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation) {
+        return;
+      }
+
+      const parameters = mergeParameters(spec, pathItem.parameters, operation.parameters);
+      const pathParams = parameters
+        .filter(parameter => parameter.in === 'path')
+        .map(parameter => ({ ...parameter, identifier: toCamelCase(parameter.name) }));
+      const queryParams = parameters.filter(parameter => parameter.in === 'query');
+
+      let url = path;
+      pathParams.forEach(parameter => {
+        url = url.split(`{${parameter.name}}`).join(`:${parameter.identifier}`);
+      });
+
+      // 接口名重复时添加序号
+      let name = toCamelCase(operation.operationId || nameFromPath(method, path));
+      for (let index = 2; usedNames.has(name); index++) {
+        name = `${toCamelCase(operation.operationId || nameFromPath(method, path))}${index}`;
+      }
+      usedNames.add(name);
+
+      const requestBody = operation.requestBody ? resolveRef(spec, operation.requestBody) : null;
+
+      operations.push({
+        name,
+        method,
+        path: url,
+        tag: (operation.tags && operation.tags[0]) || DEFAULT_TAG,
+        summary: operation.summary || '',
+        description: operation.description || '',
+        deprecated: !!operation.deprecated,
+        pathParams,
+        queryParams,
+        requestBody: requestBody && {
+          ...pickContent(requestBody.content),
+          required: !!requestBody.required,
+          description: requestBody.description || ''
+        },
+        response: pickSuccessResponse(spec, operation.responses),
+        // 接口级请求选项：{ cache, retry, idempotent, timeout }
+        options: operation['x-request'] || {}
+      });
+    });
+  });
+
+  return operations;
+}
@@ -0,0 +1,152 @@
+/**
+ * 类型生成
+ * 将JSON Schema转换为TypeScript类型，生成的类型同时用于.d.ts声明和JSDoc注释
+ */
+
+import { toPascalCase } from './openapi.js';
+
+// 可以不加引号作为属性名的标识符
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * 生成类型名，Schema名称已经是合法标识符时保持不变
+ * @param {string} name - Schema名称
+ * @returns {string} 类型名
+ */
+export function toTypeName(name) {
+  return IDENTIFIER_PATTERN.test(name) ? name : toPascalCase(name);
+}
+
+/**
+ * 获取$ref引用的类型名，如 #/components/schemas/Article 返回 Article
+ * @param {string} ref - 引用
+ * @returns {string} 类型名
+ */
+export function refToTypeName(ref) {
+  return toTypeName(ref.split('/').pop());
+}
+
+/**
+ * 生成属性名，不是合法标识符时加引号
+ * @param {string} name - 属性名
+ * @returns {string} 属性名
+ */
+export function propertyKey(name) {
+  return IDENTIFIER_PATTERN.test(name) ? name : `'${String(name).replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * 生成字面量类型
+ * @param {*} value - 枚举值
+ * @returns {string} 字面量类型
+ */
+function literalType(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return value === null ? 'null' : String(value);
+}
+
+/**
+ * 生成对象类型
+ * @param {Object} schema - 对象Schema
+ * @param {string} indent - 当前缩进
+ * @returns {string} 对象类型
+ */
+function objectType(schema, indent) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const names = Object.keys(properties);
+  const { additionalProperties } = schema;
+
+  if (names.length === 0) {
+    if (additionalProperties && typeof additionalProperties === 'object') {
+      return `Record<string, ${schemaToType(additionalProperties, indent)}>`;
+    }
+    return 'Record<string, unknown>';
+  }
+
+  const inner = `${indent}  `;
+  const lines = names.map(name => {
+    const property = properties[name] || {};
+    const optional = required.includes(name) ? '' : '?';
+    const description = String(property.description || '').split(/\r?\n/)[0].replace(/\*\//g, '*\\/');
+    const comment = description ? `${inner}/** ${description} */\n` : '';
+    return `${comment}${inner}${propertyKey(name)}${optional}: ${schemaToType(property, inner)};`;
+  });
+  if (additionalProperties && typeof additionalProperties === 'object') {
+    lines.push(`${inner}[key: string]: unknown;`);
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * 将Schema转换为TypeScript类型
+ * @param {Object} schema - JSON Schema，引用保留为类型名
+ * @param {string} indent - 当前缩进，用于多行对象类型
+ * @returns {string} 类型
+ */
+export function schemaToType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') {
+    return 'unknown';
+  }
+
+  let type;
+  if (schema.$ref) {
+    type = refToTypeName(schema.$ref);
+  } else if (schema.enum) {
+    type = schema.enum.map(literalType).join(' | ');
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(item => schemaToType(item, indent)).join(' | ');
+  } else if (schema.allOf) {
+    type = schema.allOf.map(item => schemaToType(item, indent)).join(' & ');
+  } else {
+    // OpenAPI 3.1中type可以是数组，如 ['string', 'null']
+    const types = [].concat(schema.type || (schema.properties ? 'object' : []));
+    type = types.length === 0 ? 'unknown' : types.map(item => {
+      switch (item) {
+        case 'string':
+          return schema.format === 'binary' ? 'Blob' : 'string';
+        case 'integer':
+        case 'number':
+          return 'number';
+        case 'boolean':
+          return 'boolean';
+        case 'null':
+          return 'null';
+        case 'array': {
+          const itemType = schemaToType(schema.items, indent);
+          return /[|&\s]/.test(itemType) && !itemType.startsWith('{') ? `Array<${itemType}>` : `${itemType}[]`;
+        }
+        case 'object':
+          return objectType(schema, indent);
+        default:
+          return 'unknown';
+      }
+    }).join(' | ');
+  }
+
+  return schema.nullable ? `${type} | null` : type;
+}
+
+/**
+ * 收集Schema中引用的类型名
+ * @param {Object} schema - JSON Schema
+ * @param {Set<string>} names - 收集结果
+ * @returns {Set<string>} 类型名集合
+ */
+export function collectRefs(schema, names = new Set()) {
+  if (!schema || typeof schema !== 'object') {
+    return names;
+  }
+  if (schema.$ref) {
+    names.add(refToTypeName(schema.$ref));
+    return names;
+  }
+  Object.values(schema).forEach(value => {
+    if (value && typeof value === 'object') {
+      collectRefs(value, names);
+    }
+  });
+  return names;
+}
@@ -0,0 +1,252 @@
+/**
+ * 声明式接口定义
+ * 根据接口描述生成请求方法：路径参数插值、查询参数和请求体映射、按接口配置缓存、重试和幂等，
+ * 统一处理错误并返回response.data，省去业务模块中重复的请求样板代码
+ */
+
+import { retry } from './layers.js';
+
+// 路径参数，如 /api/articles/:id 中的 :id
+const PATH_PARAM_PATTERN = /\/:([A-Za-z_$][\w$]*)/g;
+
+// 默认使用请求体传参的请求方法，其余方法使用查询参数
+const BODY_METHODS = ['post', 'put', 'patch'];
+
+/**
+ * 接口定义
+ * @typedef {Object} EndpointDefinition
+ * @property {string} path - 请求路径，可包含路径参数，如 /api/articles/:id
+ * @property {string} [method] - 请求方法，默认get
+ * @property {string} [description] - 接口说明，用于错误日志，如 '获取文章详情'，默认使用方法名
+ * @property {Array<string>} [args] - 位置参数名，如 ['id', 'article']；不设置时方法接收一个参数对象
+ * @property {Object} [defaults] - 参数默认值
+ * @property {Array<string>|Function} [params] - 作为查询参数的参数名，或 (input) => 查询参数
+ * @property {string|Array<string>|Function} [data] - 作为请求体的参数名（字符串时直接使用该参数的值），或 (input) => 请求体
+ * @property {Object|Function} [config] - 额外的请求配置（如headers、timeout、skipAuth），或 (input) => 请求配置
+ * @property {boolean|number|string|Object} [cache] - 缓存：true使用默认配置，数字为有效期（毫秒），字符串为缓存名称，对象同cache功能层
+ * @property {boolean|Function} [idempotent] - 幂等：true使用默认幂等键，函数为自定义幂等键
+ * @property {number|Object} [retry] - 重试：最大请求次数或重试策略，同retry功能层
+ * @property {Object} [schema] - 响应数据的结构：内置校验器、JSON Schema或适配器，校验通过后返回转换后的数据
+ * @property {Object} [validation] - 校验选项 { mode, coerce }，覆盖客户端配置中的validation
+ * @property {Function} [transform] - 处理返回结果 (data, input, response) => 结果，默认返回response.data
+ */
+
+/**
+ * 将路径参数替换为参数值
+ * @param {string} path - 请求路径
+ * @param {Object} input - 调用参数
+ * @param {string} name - 方法名，用于错误信息
+ * @returns {Object} 请求URL和使用到的参数名
+ */
+function interpolatePath(path, input, name) {
+  const used = [];
+  const url = path.replace(PATH_PARAM_PATTERN, (match, key) => {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') {
+      throw new TypeError(`Missing path parameter "${key}" for ${name}`);
+    }
+    used.push(key);
+    return `/${encodeURIComponent(value)}`;
+  });
+  return { url, used };
+}
+
+/**
+ * 从调用参数中选取字段
+ * @param {Object} input - 调用参数
+ * @param {Array<string>} keys - 字段名
+ * @returns {Object} 选取的字段
+ */
+function pick(input, keys) {
+  return keys.reduce((result, key) => {
+    if (input[key] !== undefined) {
+      result[key] = input[key];
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * 从调用参数中去掉字段
+ * @param {Object} input - 调用参数
+ * @param {Array<string>} keys - 要去掉的字段名
+ * @returns {Object} 剩余字段
+ */
+function omit(input, keys) {
+  return pick(input, Object.keys(input).filter(key => !keys.includes(key)));
+}
+
+/**
+ * 按映射规则生成查询参数或请求体
+ * @param {string|Array<string>|Function} mapping - 映射规则
+ * @param {Object} input - 调用参数
+ * @returns {*} 映射结果
+ */
+function mapInput(mapping, input) {
+  if (typeof mapping === 'function') {
+    return mapping(input);
+  }
+  if (typeof mapping === 'string') {
+    return input[mapping];
+  }
+  return pick(input, mapping);
+}
+
+/**
+ * 根据接口定义创建功能层
+ * @param {Object} client - 请求客户端
+ * @param {EndpointDefinition} endpoint - 接口定义
+ * @returns {Object} 功能层列表和缓存功能层
+ */
+function createEndpointLayers(client, endpoint) {
+  const layers = [];
+  let cacheLayer = null;
+
+  // 校验位于最外侧，缓存中保存原始数据，命中缓存时同样校验和转换
+  if (endpoint.schema) {
+    layers.push(client.validate(endpoint.schema, endpoint.validation));
+  }
+
+  // 缓存和幂等位于外侧，命中时不进入重试
+  if (endpoint.cache) {
+    let options = endpoint.cache;
+    if (options === true) {
+      options = {};
+    } else if (typeof options === 'number') {
+      options = { duration: options };
+    }
+    cacheLayer = client.cache(options);
+    layers.push(cacheLayer);
+  } else if (endpoint.idempotent) {
+    cacheLayer = client.idempotent(typeof endpoint.idempotent === 'function' ? endpoint.idempotent : undefined);
+    layers.push(cacheLayer);
+  }
+
+  if (endpoint.retry) {
+    layers.push(retry(endpoint.retry));
+  }
+
+  return { layers, cacheLayer };
+}
+
+/**
+ * 创建单个接口的请求方法
+ * @param {Object} client - 请求客户端
+ * @param {string} name - 方法名
+ * @param {EndpointDefinition} endpoint - 接口定义
+ * @param {Function} onError - 错误处理函数
+ * @returns {Function} 请求方法
+ */
+function createEndpoint(client, name, endpoint, onError) {
+  if (!endpoint || typeof endpoint.path !== 'string') {
+    throw new TypeError(`Endpoint "${name}" must have a path`);
+  }
+
+  const method = (endpoint.method || 'get').toLowerCase();
+  const { layers, cacheLayer } = createEndpointLayers(client, endpoint);
+  const requestor = client.compose(...layers);
+
+  /**
+   * 将调用参数转换为参数对象和单次请求配置
+   * @param {Array} callArgs - 调用参数
+   * @returns {Object} 参数对象和请求配置
+   */
+  function resolveArguments(callArgs) {
+    let input;
+    let callConfig;
+    if (endpoint.args) {
+      input = {};
+      endpoint.args.forEach((key, index) => {
+        if (callArgs[index] !== undefined) {
+          input[key] = callArgs[index];
+        }
+      });
+      callConfig = callArgs[endpoint.args.length];
+    } else {
+      [input, callConfig] = callArgs;
+    }
+    return {
+      input: { ...endpoint.defaults, ...input },
+      callConfig: callConfig || {}
+    };
+  }
+
+  /**
+   * 根据参数对象生成请求配置
+   * @param {Object} input - 参数对象
+   * @param {Object} callConfig - 单次请求配置
+   * @returns {Object} 请求配置
+   */
+  function buildConfig(input, callConfig) {
+    const { url, used } = interpolatePath(endpoint.path, input, name);
+    const rest = omit(input, used);
+    const config = { method, url };
+
+    if (endpoint.params) {
+      config.params = mapInput(endpoint.params, input);
+    } else if (!BODY_METHODS.includes(method) && !endpoint.data) {
+      config.params = rest;
+    }
+
+    if (endpoint.data) {
+      config.data = mapInput(endpoint.data, input);
+    } else if (BODY_METHODS.includes(method) && !endpoint.params) {
+      config.data = rest;
+    }
+
+    const endpointConfig = typeof endpoint.config === 'function' ? endpoint.config(input) : endpoint.config;
+    return {
+      ...config,
+      ...endpointConfig,
+      ...callConfig,
+      headers: {
+        ...(endpointConfig && endpointConfig.headers),
+        ...callConfig.headers
+      }
+    };
+  }
+
+  const call = async function(...callArgs) {
+    const { input, callConfig } = resolveArguments(callArgs);
+    try {
+      const response = await requestor.request(buildConfig(input, callConfig));
+      return endpoint.transform ? endpoint.transform(response.data, input, response) : response.data;
+    } catch (error) {
+      onError(error, { name, description: endpoint.description || name, input });
+      throw error;
+    }
+  };
+
+  // 开启缓存或幂等的接口提供缓存功能层，用于失效缓存或订阅更新
+  call.cache = cacheLayer;
+  call.endpoint = endpoint;
+
+  return call;
+}
+
+/**
+ * 默认的错误处理：打印错误日志
+ * @param {Error} error - 请求错误
+ * @param {Object} context - 接口信息
+ */
+function logError(error, { description }) {
+  console.error(`${description}失败:`, error);
+}
+
+/**
+ * 根据接口定义创建请求方法
+ * 每个接口的缓存、幂等和重试功能层在创建时生成并在多次调用之间共享
+ * @param {Object} client - 请求客户端
+ * @param {Object<string, EndpointDefinition>} definitions - 以方法名为键的接口定义
+ * @param {Object} options - 配置选项
+ * @param {Function} options.onError - 错误处理函数 (error, { name, description, input }) => void，
+ *   默认打印错误日志；处理后错误仍会抛出
+ * @returns {Object<string, Function>} 以方法名为键的请求方法，开启缓存或幂等的方法带有cache属性
+ */
+export function createApi(client, definitions, options = {}) {
+  const { onError = logError } = options;
+  return Object.keys(definitions).reduce((api, name) => {
+    api[name] = createEndpoint(client, name, definitions[name], onError);
+    return api;
+  }, {});
+}
@@ -0,0 +1,218 @@
+/**
+ * 认证管理
+ * 通过客户端拦截器为请求注入token；收到401时只发起一次刷新，
+ * 刷新期间的新请求排队等待，刷新成功后用新token重放失败的请求，刷新失败时触发logout事件
+ */
+
+import { HttpError } from './errors.js';
+import { addEventSupport } from './events.js';
+
+// 记录请求使用的token，用于判断401是否由已经被刷新的旧token导致
+const USED_TOKEN = Symbol('usedToken');
+
+/**
+ * 让重放的请求经过排在认证管理器之前的响应拦截器
+ * 响应拦截器按注册顺序链式执行，401错误经过这些拦截器的rejected后才到达认证管理器，
+ * 重放的响应需要补上它们的处理，才能与正常请求的响应结构一致；排在之后的拦截器会收到认证管理器返回的结果
+ * @param {Object} client - 请求客户端
+ * @param {number} id - 认证管理器的响应拦截器id
+ * @param {Promise} replay - 重放的请求
+ * @returns {Promise} 经过处理的请求结果
+ */
+function applyPrecedingInterceptors(client, id, replay) {
+  let chain = replay;
+  let reached = false;
+  client.interceptors.response.forEach((handler) => {
+    if (handler.id === id) {
+      reached = true;
+    }
+    if (!reached) {
+      chain = chain.then(handler.fulfilled, handler.rejected);
+    }
+  });
+  return chain;
+}
+
+/**
+ * 创建认证管理器
+ * @param {Object} options - 配置选项
+ * @param {string} options.accessToken - 初始访问token
+ * @param {string} options.refreshToken - 初始刷新token
+ * @param {Function} options.getToken - 自定义token来源 () => token，可以返回Promise，默认使用管理器保存的访问token
+ * @param {Function} options.refresh - 刷新token (refreshToken) => 新token或 { accessToken, refreshToken }，可以返回Promise
+ * @param {Function} options.isUnauthorized - 判断错误是否为认证失败，默认为401的HttpError
+ * @param {string} options.header - 携带token的请求头，默认Authorization
+ * @param {Function} options.formatToken - 请求头的值，默认 `Bearer ${token}`
+ * @returns {Object} 认证管理器，支持on('refresh')、on('logout')事件
+ */
+export function createAuthManager(options = {}) {
+  const {
+    getToken = null,
+    refresh = null,
+    isUnauthorized = (error) => error instanceof HttpError && error.status === 401,
+    header = 'Authorization',
+    formatToken = (token) => `Bearer ${token}`
+  } = options;
+
+  let accessToken = options.accessToken || null;
+  let refreshToken = options.refreshToken || null;
+
+  // 进行中的刷新，并发的401共享同一次刷新
+  let refreshPromise = null;
+
+  const manager = {
+    /**
+     * 保存token
+     * @param {string|Object} token - 访问token，或包含accessToken（或token）、refreshToken的对象（如登录接口的返回数据）
+     */
+    setToken: function(token) {
+      if (token && typeof token === 'object') {
+        accessToken = token.accessToken || token.token || null;
+        if (token.refreshToken) {
+          refreshToken = token.refreshToken;
+        }
+      } else {
+        accessToken = token || null;
+      }
+    },
+
+    /**
+     * 获取当前访问token
+     * @returns {Promise<string|null>} 访问token
+     */
+    getToken: async function() {
+      return getToken ? getToken() : accessToken;
+    },
+
+    /**
+     * 获取当前刷新token
+     * @returns {string|null} 刷新token
+     */
+    getRefreshToken: function() {
+      return refreshToken;
+    },
+
+    /**
+     * 清除token
+     */
+    clearToken: function() {
+      accessToken = null;
+      refreshToken = null;
+    },
+
+    /**
+     * 退出登录：清除token并触发logout事件
+     * @param {*} reason - 退出原因，刷新失败时为刷新错误
+     */
+    logout: function(reason) {
+      manager.clearToken();
+      manager.emit('logout', reason);
+    },
+
+    /**
+     * 刷新token，同一时间只会发起一次刷新
+     * 刷新失败时自动退出登录
+     * @returns {Promise<string>} 新的访问token
+     */
+    refresh: function() {
+      if (!refreshPromise) {
+        refreshPromise = Promise.resolve()
+          .then(() => {
+            if (!refresh) {
+              throw new Error('Token refresh is not configured');
+            }
+            return refresh(refreshToken);
+          })
+          .then(async (result) => {
+            if (!result) {
+              throw new Error('Token refresh failed');
+            }
+            manager.setToken(result);
+            const token = await manager.getToken();
+            manager.emit('refresh', token);
+            return token;
+          })
+          .catch((error) => {
+            manager.logout(error);
+            throw error;
+          })
+          .finally(() => {
+            refreshPromise = null;
+          });
+      }
+      return refreshPromise;
+    },
+
+    /**
+     * 安装到客户端，通过拦截器注入token和处理401
+     * 请求配置中设置skipAuth: true时跳过认证处理（如登录、刷新token的请求）
+     * @param {Object} client - 请求客户端
+     * @returns {Function} 卸载函数
+     */
+    install: function(client) {
+      const requestInterceptor = client.interceptors.request.use(async (config) => {
+        if (config.skipAuth) {
+          return config;
+        }
+
+        // 刷新期间发出的请求等待刷新完成，使用新token发送
+        if (refreshPromise) {
+          await refreshPromise.catch(() => {});
+        }
+
+        const token = await manager.getToken();
+        if (!token) {
+          return config;
+        }
+        return {
+          ...config,
+          headers: {
+            ...config.headers,
+            [header]: formatToken(token)
+          },
+          [USED_TOKEN]: token
+        };
+      });
+
+      const responseInterceptor = client.interceptors.response.use(null, async (error) => {
+        const config = error && error.config;
+        if (!config || config.skipAuth || !config[USED_TOKEN] || !isUnauthorized(error)) {
+          throw error;
+        }
+
+        // token已被其他请求刷新时直接重放，否则等待刷新完成
+        let token = await manager.getToken();
+        if (token && token === config[USED_TOKEN]) {
+          try {
+            token = await manager.refresh();
+          } catch (refreshError) {
+            throw error;
+          }
+        }
+        if (!token) {
+          throw error;
+        }
+
+        // 配置已经过客户端配置和请求拦截器处理，只替换token后直接发送；重放失败时不再刷新
+        const replay = client.send({
+          ...config,
+          headers: {
+            ...config.headers,
+            [header]: formatToken(token)
+          },
+          [USED_TOKEN]: token
+        });
+        return applyPrecedingInterceptors(client, responseInterceptor, replay);
+      });
+
+      return () => {
+        client.interceptors.request.eject(requestInterceptor);
+        client.interceptors.response.eject(responseInterceptor);
+      };
+    }
+  };
+
+  addEventSupport(manager);
+
+  return manager;
+}
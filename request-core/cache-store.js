@@ -0,0 +1,388 @@
+/**
+ * 缓存存储实现
+ * 所有存储都实现相同的异步接口：has、get、set、delete、keys，
+ * 可以通过createCacheRequestor的store选项传入自定义存储
+ */
+
+/**
+ * 序列化缓存值，忽略循环引用（如axios响应中的request对象）和无法序列化的值
+ * 只忽略指向当前路径上祖先对象的引用，同一个对象出现在多处（如response.data和response.envelope.data）时都会保留
+ * @param {*} value - 缓存值
+ * @returns {string} JSON字符串
+ */
+function safeStringify(value) {
+  // 从根对象到当前对象的路径
+  const ancestors = [];
+  return JSON.stringify(value, function(key, val) {
+    if (typeof val !== 'object' || val === null) {
+      return val;
+    }
+    // this为当前字段所在的对象，回退到它所在的路径
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.includes(val)) {
+      return undefined;
+    }
+    ancestors.push(val);
+    return val;
+  });
+}
+
+/**
+ * 估算缓存值占用的字节数（按UTF-16计算）
+ * @param {*} value - 缓存值
+ * @returns {number} 字节数
+ */
+function estimateSize(value) {
+  try {
+    const json = safeStringify(value);
+    return json ? json.length * 2 : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * 判断是否为存储空间不足错误
+ * @param {Error} error - 错误
+ * @returns {boolean} 是否为配额错误
+ */
+function isQuotaExceededError(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * 内存缓存实现
+ * @returns {Object} 缓存存储实例
+ */
+export function createMemoryStore() {
+  const store = new Map();
+
+  return {
+    has: async function(key) {
+      return store.has(key);
+    },
+    set: async function(key, value) {
+      store.set(key, value);
+    },
+    get: async function(key) {
+      return store.get(key);
+    },
+    delete: async function(key) {
+      store.delete(key);
+    },
+    keys: async function() {
+      return Array.from(store.keys());
+    }
+  };
+}
+
+/**
+ * 限制容量的内存缓存实现，超出容量时淘汰最久未使用的缓存
+ * @param {Object} options - 配置选项
+ * @param {number} options.maxEntries - 最大缓存条数，默认100
+ * @param {number} options.maxBytes - 最大占用字节数（估算值），默认不限制
+ * @param {Function} options.sizeOf - 自定义计算缓存值大小的函数
+ * @returns {Object} 缓存存储实例
+ */
+export function createLRUStore(options = {}) {
+  const maxEntries = options.maxEntries || 100;
+  const maxBytes = options.maxBytes || Infinity;
+  const sizeOf = options.sizeOf || estimateSize;
+
+  // Map按插入顺序迭代，最近使用的条目移动到末尾
+  const store = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = store.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      store.delete(key);
+    }
+  }
+
+  function evict() {
+    while (store.size > maxEntries || (totalBytes > maxBytes && store.size > 0)) {
+      remove(store.keys().next().value);
+    }
+  }
+
+  return {
+    has: async function(key) {
+      return store.has(key);
+    },
+    set: async function(key, value) {
+      remove(key);
+      const size = sizeOf(value);
+      // 单条缓存超过容量上限时不缓存
+      if (size > maxBytes) {
+        return;
+      }
+      store.set(key, { value, size });
+      totalBytes += size;
+      evict();
+    },
+    get: async function(key) {
+      const entry = store.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      store.delete(key);
+      store.set(key, entry);
+      return entry.value;
+    },
+    delete: async function(key) {
+      remove(key);
+    },
+    keys: async function() {
+      return Array.from(store.keys());
+    },
+    /**
+     * 当前缓存大小
+     * @returns {Object} 条数和估算字节数
+     */
+    size: function() {
+      return { entries: store.size, bytes: totalBytes };
+    }
+  };
+}
+
+/**
+ * Web Storage缓存实现（localStorage或sessionStorage）
+ * 缓存键带有命名空间前缀，不影响其他数据；存储空间不足时淘汰本命名空间内最早写入的缓存
+ * @param {Object} options - 配置选项
+ * @param {Storage} options.storage - 存储对象，默认localStorage
+ * @param {string} options.namespace - 命名空间，默认request-cache
+ * @returns {Object} 缓存存储实例
+ */
+export function createStorageStore(options = {}) {
+  const storage = options.storage || localStorage;
+  const prefix = `${options.namespace || 'request-cache'}:`;
+
+  function storageKeys() {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const storageKey = storage.key(i);
+      if (storageKey && storageKey.startsWith(prefix)) {
+        keys.push(storageKey);
+      }
+    }
+    return keys;
+  }
+
+  function readTimestamp(storageKey) {
+    try {
+      const value = JSON.parse(storage.getItem(storageKey));
+      return value && typeof value.timestamp === 'number' ? value.timestamp : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * 淘汰本命名空间内最早写入的一条缓存
+   * @param {string} exceptKey - 不淘汰的键
+   * @returns {boolean} 是否淘汰成功
+   */
+  function evictOldest(exceptKey) {
+    const candidates = storageKeys().filter(storageKey => storageKey !== exceptKey);
+    if (candidates.length === 0) {
+      return false;
+    }
+
+    let oldestKey = candidates[0];
+    let oldestTimestamp = readTimestamp(oldestKey);
+    candidates.slice(1).forEach(storageKey => {
+      const timestamp = readTimestamp(storageKey);
+      if (timestamp < oldestTimestamp) {
+        oldestKey = storageKey;
+        oldestTimestamp = timestamp;
+      }
+    });
+
+    storage.removeItem(oldestKey);
+    return true;
+  }
+
+  return {
+    has: async function(key) {
+      return storage.getItem(prefix + key) !== null;
+    },
+    set: async function(key, value) {
+      const storageKey = prefix + key;
+      const serialized = safeStringify(value);
+
+      while (true) {
+        try {
+          storage.setItem(storageKey, serialized);
+          return;
+        } catch (error) {
+          if (!isQuotaExceededError(error) || !evictOldest(storageKey)) {
+            console.warn('Failed to write cache to storage:', error);
+            return;
+          }
+        }
+      }
+    },
+    get: async function(key) {
+      const value = storage.getItem(prefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+    delete: async function(key) {
+      storage.removeItem(prefix + key);
+    },
+    keys: async function() {
+      return storageKeys().map(storageKey => storageKey.slice(prefix.length));
+    },
+    /**
+     * 清空本命名空间内的缓存
+     */
+    clear: async function() {
+      storageKeys().forEach(storageKey => storage.removeItem(storageKey));
+    }
+  };
+}
+
+/**
+ * 将IDBRequest转换为Promise
+ * @param {IDBRequest} request - IndexedDB请求
+ * @returns {Promise} 请求结果
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 转换为可以结构化克隆的缓存条目
+ * 去掉缓存的响应对象中无法克隆的request、config和函数，响应数据（包括Blob、ArrayBuffer等二进制数据）原样保存
+ * @param {*} entry - 缓存条目 { data: 响应, timestamp, tags }
+ * @returns {*} 可以存入IndexedDB的缓存条目
+ */
+function toCloneableEntry(entry) {
+  const response = entry && entry.data;
+  if (!response || Object.getPrototypeOf(response) !== Object.prototype) {
+    return entry;
+  }
+  const { request, config, ...fields } = response;
+  return {
+    ...entry,
+    data: Object.fromEntries(Object.entries(fields).filter(([, field]) => typeof field !== 'function'))
+  };
+}
+
+/**
+ * IndexedDB缓存实现，适合缓存较大的响应数据和二进制数据
+ * @param {Object} options - 配置选项
+ * @param {string} options.dbName - 数据库名，默认request-cache
+ * @param {string} options.storeName - 对象仓库名，默认entries
+ * @param {IDBFactory} options.indexedDB - IndexedDB工厂，默认全局indexedDB
+ * @returns {Object} 缓存存储实例
+ */
+export function createIndexedDBStore(options = {}) {
+  const dbName = options.dbName || 'request-cache';
+  const storeName = options.storeName || 'entries';
+  const factory = options.indexedDB || indexedDB;
+
+  let dbPromise = null;
+
+  function openDB() {
+    if (!dbPromise) {
+      const request = factory.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, callback) {
+    const db = await openDB();
+    const transaction = db.transaction(storeName, mode);
+    return promisifyRequest(callback(transaction.objectStore(storeName)));
+  }
+
+  return {
+    has: async function(key) {
+      const count = await withStore('readonly', objectStore => objectStore.count(key));
+      return count > 0;
+    },
+    set: async function(key, value) {
+      await withStore('readwrite', objectStore => objectStore.put(toCloneableEntry(value), key));
+    },
+    get: async function(key) {
+      return withStore('readonly', objectStore => objectStore.get(key));
+    },
+    delete: async function(key) {
+      await withStore('readwrite', objectStore => objectStore.delete(key));
+    },
+    keys: async function() {
+      const keys = await withStore('readonly', objectStore => objectStore.getAllKeys());
+      return keys.map(String);
+    },
+    /**
+     * 清空缓存
+     */
+    clear: async function() {
+      await withStore('readwrite', objectStore => objectStore.clear());
+    }
+  };
+}
+
+/**
+ * 测试用缓存实现
+ * 基于内存存储，并记录所有调用，便于在测试中断言缓存行为
+ * @param {Object} initialEntries - 初始缓存，键为缓存键，值为缓存条目
+ * @returns {Object} 缓存存储实例，calls属性记录调用历史
+ */
+export function createStubStore(initialEntries = {}) {
+  const store = new Map(Object.entries(initialEntries));
+  const calls = [];
+
+  function record(method, args) {
+    calls.push({ method, args });
+  }
+
+  return {
+    calls,
+    has: async function(key) {
+      record('has', [key]);
+      return store.has(key);
+    },
+    set: async function(key, value) {
+      record('set', [key, value]);
+      store.set(key, value);
+    },
+    get: async function(key) {
+      record('get', [key]);
+      return store.get(key);
+    },
+    delete: async function(key) {
+      record('delete', [key]);
+      store.delete(key);
+    },
+    keys: async function() {
+      record('keys', []);
+      return Array.from(store.keys());
+    },
+    /**
+     * 清空缓存和调用记录
+     */
+    reset: function() {
+      store.clear();
+      calls.length = 0;
+    }
+  };
+}
@@ -0,0 +1,577 @@
+/**
+ * 请求缓存
+ * 提供缓存功能层、缓存模式、命名缓存注册表和缓存失效规则
+ */
+import { AbortError, CacheMissError } from './errors.js';
+import { createMemoryStore, createStorageStore } from './cache-store.js';
+import { matchPath } from './path.js';
+import { defaultIdempotentKey } from './layers.js';
+import { normalizeURL } from './params.js';
+import { LIFECYCLE_EVENT, emitEvent } from './events.js';
+import { createSharedRequest } from './cancel.js';
+
+// 缓存模式定义
+export const CACHE_MODE = {
+  // 缓存有效时使用缓存，否则请求网络（默认）
+  CACHE_FIRST: 'cache-first',
+  // 有缓存时立即返回（即使已过期），过期时在后台刷新
+  STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+  // 优先请求网络，失败时回退到缓存
+  NETWORK_FIRST: 'network-first',
+  // 只读缓存，没有缓存时抛出CacheMissError
+  CACHE_ONLY: 'cache-only',
+  // 只请求网络，结果仍写入缓存
+  NETWORK_ONLY: 'network-only'
+};
+
+/**
+ * 获取缓存存储实例
+ * @param {Object} options - 缓存配置选项
+ * @param {Object} options.store - 自定义缓存存储，优先使用
+ * @param {boolean|string} options.persist - 是否持久化存储，true或'local'使用localStorage，'session'使用sessionStorage
+ * @param {string} options.namespace - 持久化存储的命名空间
+ * @returns {Object} 缓存存储实例
+ */
+function useCacheStore(options) {
+  if (options.store) {
+    return options.store;
+  }
+  
+  if (!options.persist) {
+    return createMemoryStore();
+  }
+  
+  const storageName = options.persist === 'session' ? 'sessionStorage' : 'localStorage';
+  const namespace = options.namespace || 'request-cache';
+  
+  // 检查存储是否可用
+  try {
+    const storage = globalThis[storageName];
+    const testKey = `${namespace}:__test__`;
+    storage.setItem(testKey, 'test');
+    storage.removeItem(testKey);
+    return createStorageStore({ storage, namespace });
+  } catch (error) {
+    console.warn(`${storageName} is not available, using memory store instead.`);
+    return createMemoryStore();
+  }
+}
+
+/**
+ * 将字符串前缀或函数归一化为缓存键匹配函数
+ * @param {string|Function} matcher - 键前缀或 (key, entry) => boolean
+ * @returns {Function} 匹配函数
+ */
+function toCacheMatcher(matcher) {
+  if (typeof matcher === 'function') {
+    return matcher;
+  }
+  return (key) => key.startsWith(matcher);
+}
+
+/**
+ * 缓存功能层
+ * 返回的功能层同时提供invalidate、invalidateByTag、invalidateMatching、clear等失效方法和stats统计方法
+ * @param {Object} options - 缓存配置选项
+ * @param {string} options.name - 缓存名称
+ * @param {Function} options.key - 生成缓存键的函数
+ * @param {number} options.duration - 缓存有效期（毫秒）
+ * @param {Function} options.isValid - 自定义缓存是否有效
+ * @param {boolean|string} options.persist - 是否持久化缓存，true或'local'使用localStorage，'session'使用sessionStorage
+ * @param {string} options.namespace - 持久化缓存的命名空间，默认request-cache
+ * @param {Object} options.store - 自定义缓存存储，需实现has、get、set、delete、keys异步方法，设置后忽略persist
+ * @param {Array<string>|Function} options.tags - 缓存标签，或 (config) => 标签数组
+ * @param {string} options.mode - 默认缓存模式，见CACHE_MODE，可通过请求配置中的cacheMode单次覆盖
+ * @returns {Function} 功能层
+ */
+function createCacheLayer(options) {
+  // 参数归一化
+  const normalizedOptions = {
+    key: options.key || ((config) => `${config.method}-${normalizeURL(config)}`),
+    duration: options.duration || 1000 * 60 * 5, // 默认5分钟
+    isValid: options.isValid || null,
+    tags: options.tags || [],
+    mode: options.mode || CACHE_MODE.CACHE_FIRST
+  };
+  
+  // 获取缓存存储
+  const store = useCacheStore(options);
+  
+  // 缓存更新订阅者
+  const subscribers = new Set();
+  
+  // 进行中的请求，相同缓存键的并发请求共享同一个Promise
+  const inflight = new Map();
+  
+  // 命中统计
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0
+  };
+  
+  /**
+   * 删除满足条件的缓存
+   * @param {Function} predicate - (key, entry) => boolean
+   */
+  async function purge(predicate) {
+    const keys = await store.keys();
+    for (const key of keys) {
+      const entry = await store.get(key);
+      if (entry && predicate(key, entry)) {
+        await store.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * 读取缓存条目
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 缓存条目，不存在时返回null
+   */
+  async function readEntry(key) {
+    const hasKey = await store.has(key);
+    return hasKey ? await store.get(key) : null;
+  }
+  
+  /**
+   * 检查缓存是否有效
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   * @param {Object} cached - 缓存条目
+   * @returns {boolean} 是否有效
+   */
+  function isFresh(key, config, cached) {
+    if (normalizedOptions.isValid) {
+      return normalizedOptions.isValid(key, config, cached);
+    }
+    return (Date.now() - cached.timestamp) < normalizedOptions.duration;
+  }
+  
+  /**
+   * 发送请求并缓存结果，写入后通知订阅者
+   * 相同缓存键已有进行中的请求时直接复用，不重复发送；
+   * 调用方取消时只结束该调用方的Promise，所有调用方都取消后才取消请求
+   * @param {Function} next - 下一层请求
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   * @returns {Promise} 请求结果
+   */
+  function fetchAndStore(next, key, config) {
+    const current = inflight.get(key);
+    if (current && !current.aborted) {
+      return current.join(config.signal);
+    }
+    
+    const shared = createSharedRequest(async (signal) => {
+      const result = await next({ ...config, signal });
+      
+      const tags = typeof normalizedOptions.tags === 'function'
+        ? normalizedOptions.tags(config)
+        : normalizedOptions.tags;
+      
+      await store.set(key, {
+        data: result,
+        timestamp: Date.now(),
+        tags: tags || []
+      });
+      
+      subscribers.forEach(listener => listener(result, key, config));
+      
+      return result;
+    });
+    shared.promise.catch(() => {}).finally(() => {
+      if (inflight.get(key) === shared) {
+        inflight.delete(key);
+      }
+    });
+    
+    inflight.set(key, shared);
+    return shared.join(config.signal);
+  }
+  
+  /**
+   * 后台刷新缓存，失败时保留旧缓存
+   * @param {Function} next - 下一层请求
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   */
+  function revalidate(next, key, config) {
+    // 已在刷新中
+    const current = inflight.get(key);
+    if (current && !current.aborted) {
+      return;
+    }
+    
+    fetchAndStore(next, key, config)
+      .then((result) => {
+        if (config.onRevalidate) {
+          config.onRevalidate(result);
+        }
+      })
+      .catch((error) => {
+        console.warn('Cache revalidation failed:', error);
+      });
+  }
+  
+  /**
+   * 记录缓存命中并发送cache:hit事件
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   * @param {boolean} stale - 是否为过期缓存
+   */
+  function recordHit(key, config, stale) {
+    if (stale) {
+      stats.staleHits++;
+    } else {
+      stats.hits++;
+    }
+    emitEvent(config, LIFECYCLE_EVENT.CACHE_HIT, { config, key, cacheName: options.name || null, stale });
+  }
+  
+  /**
+   * 记录缓存未命中并发送cache:miss事件
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   */
+  function recordMiss(key, config) {
+    stats.misses++;
+    emitEvent(config, LIFECYCLE_EVENT.CACHE_MISS, { config, key, cacheName: options.name || null });
+  }
+  
+  const layer = (next) => async function(config) {
+    const key = normalizedOptions.key(config);
+    const mode = config.cacheMode || normalizedOptions.mode;
+    
+    switch (mode) {
+      case CACHE_MODE.NETWORK_ONLY:
+        return fetchAndStore(next, key, config);
+      
+      case CACHE_MODE.CACHE_ONLY: {
+        const cached = await readEntry(key);
+        if (!cached) {
+          recordMiss(key, config);
+          throw new CacheMissError(`No cached response for ${key}`, { config, key });
+        }
+        recordHit(key, config, false);
+        return cached.data;
+      }
+      
+      case CACHE_MODE.NETWORK_FIRST:
+        try {
+          return await fetchAndStore(next, key, config);
+        } catch (error) {
+          // 网络失败时回退到缓存（包括已过期的缓存），取消的请求不回退
+          const cached = error instanceof AbortError ? null : await readEntry(key);
+          if (cached) {
+            recordHit(key, config, true);
+            return cached.data;
+          }
+          throw error;
+        }
+      
+      case CACHE_MODE.STALE_WHILE_REVALIDATE: {
+        const cached = await readEntry(key);
+        if (!cached) {
+          recordMiss(key, config);
+          return fetchAndStore(next, key, config);
+        }
+        // 缓存过期时先返回旧数据，再在后台刷新
+        const stale = !isFresh(key, config, cached);
+        recordHit(key, config, stale);
+        if (stale) {
+          revalidate(next, key, config);
+        }
+        return cached.data;
+      }
+      
+      default: {
+        const cached = await readEntry(key);
+        if (cached && isFresh(key, config, cached)) {
+          recordHit(key, config, false);
+          return cached.data;
+        }
+        recordMiss(key, config);
+        return fetchAndStore(next, key, config);
+      }
+    }
+  };
+  
+  /**
+   * 订阅缓存更新，每次从网络获取数据并写入缓存后触发
+   * @param {Function} listener - (data, key, config) => void
+   * @returns {Function} 取消订阅的函数
+   */
+  layer.subscribe = function(listener) {
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+  };
+  
+  /**
+   * 删除指定缓存键
+   * @param {string} key - 缓存键
+   */
+  layer.invalidate = async function(key) {
+    await store.delete(key);
+  };
+  
+  /**
+   * 删除带有指定标签的缓存
+   * @param {string} tag - 缓存标签
+   */
+  layer.invalidateByTag = function(tag) {
+    return purge((key, entry) => Array.isArray(entry.tags) && entry.tags.includes(tag));
+  };
+  
+  /**
+   * 删除键以指定前缀开头或满足条件的缓存
+   * @param {string|Function} matcher - 键前缀或 (key, entry) => boolean
+   */
+  layer.invalidateMatching = function(matcher) {
+    return purge(toCacheMatcher(matcher));
+  };
+  
+  /**
+   * 清空缓存
+   */
+  layer.clear = function() {
+    return purge(() => true);
+  };
+  
+  /**
+   * 获取缓存统计
+   * @returns {Promise<Object>} 名称、命中次数、过期命中次数、未命中次数、命中率和缓存条数
+   */
+  layer.stats = async function() {
+    const keys = await store.keys();
+    const total = stats.hits + stats.staleHits + stats.misses;
+    return {
+      name: options.name || null,
+      ...stats,
+      hitRate: total > 0 ? (stats.hits + stats.staleHits) / total : 0,
+      size: keys.length
+    };
+  };
+  
+  /**
+   * 重置统计数据
+   */
+  layer.resetStats = function() {
+    stats.hits = 0;
+    stats.staleHits = 0;
+    stats.misses = 0;
+  };
+  
+  layer.cacheName = options.name || null;
+  
+  return layer;
+}
+
+/**
+ * 创建缓存注册表
+ * 每个客户端拥有独立的缓存注册表，管理命名缓存、全局失效和失效规则
+ * @returns {Object} 缓存注册表
+ */
+export function createCacheRegistry() {
+  // 命名缓存注册表
+  const cacheRegistry = new Map();
+  
+  // 使用持久化或自定义存储的匿名缓存功能层，层被回收后存储中的数据仍然存在，需要保留强引用才能全局失效
+  const storedLayers = new Set();
+  
+  // 使用内存存储的匿名缓存功能层的弱引用，用于全局失效；不再使用的匿名缓存（如每次调用都创建的createCacheRequestor）可以连同数据一起被回收
+  const anonymousLayers = new Set();
+  const finalizer = typeof FinalizationRegistry === 'function'
+    ? new FinalizationRegistry(ref => anonymousLayers.delete(ref))
+    : null;
+  
+  /**
+   * 记录匿名缓存功能层，不支持WeakRef的环境中保留强引用
+   * @param {Function} layer - 缓存功能层
+   */
+  function trackAnonymousLayer(layer) {
+    const ref = typeof WeakRef === 'function' ? new WeakRef(layer) : { deref: () => layer };
+    anonymousLayers.add(ref);
+    if (finalizer) {
+      finalizer.register(layer, ref);
+    }
+  }
+  
+  /**
+   * 获取当前存活的所有缓存功能层
+   * @returns {Array<Function>} 缓存功能层
+   */
+  function getLayers() {
+    const layers = [...cacheRegistry.values(), ...storedLayers];
+    anonymousLayers.forEach(ref => {
+      const layer = ref.deref();
+      if (layer) {
+        layers.push(layer);
+      } else {
+        anonymousLayers.delete(ref);
+      }
+    });
+    return layers;
+  }
+  
+  // 缓存失效规则
+  const invalidationRules = [];
+  
+  /**
+   * 缓存功能层
+   * 指定name时创建命名缓存，之后在任何地方使用相同name都会引用同一个缓存（以首次创建时的选项为准）
+   * @param {Object|string} options - 缓存配置选项（见createCacheLayer），传入字符串时等同于 { name }
+   * @returns {Function} 功能层
+   */
+  function cache(options = {}) {
+    if (typeof options === 'string') {
+      options = { name: options };
+    }
+    
+    // 引用已有的命名缓存
+    if (options.name && cacheRegistry.has(options.name)) {
+      return cacheRegistry.get(options.name);
+    }
+    
+    const layer = createCacheLayer(options);
+    
+    if (options.name) {
+      cacheRegistry.set(options.name, layer);
+    } else if (options.store || options.persist) {
+      storedLayers.add(layer);
+    } else {
+      trackAnonymousLayer(layer);
+    }
+    
+    return layer;
+  }
+  
+  /**
+   * 幂等功能层
+   * 相同的请求在缓存有效期内只发送一次，并发的相同请求共享同一个进行中的请求
+   * @param {Function} genKey - 生成幂等键的函数
+   * @returns {Function} 功能层
+   */
+  function idempotent(genKey) {
+    return cache({
+      key: genKey || defaultIdempotentKey,
+      duration: 1000 * 60 * 60, // 幂等缓存默认1小时
+      persist: false
+    });
+  }
+  
+  /**
+   * 获取命名缓存
+   * @param {string} name - 缓存名称
+   * @returns {Function|null} 缓存功能层，不存在时返回null
+   */
+  function getCache(name) {
+    return cacheRegistry.get(name) || null;
+  }
+
+  /**
+   * 获取所有命名缓存的统计
+   * @returns {Promise<Object>} 以缓存名称为键的统计数据
+   */
+  async function getCacheStats() {
+    const result = {};
+    for (const [name, layer] of cacheRegistry) {
+      result[name] = await layer.stats();
+    }
+    return result;
+  }
+
+  /**
+   * 使所有缓存功能层中带有指定标签的缓存失效
+   * @param {string} tag - 缓存标签
+   */
+  async function invalidateByTag(tag) {
+    await Promise.all(getLayers().map(layer => layer.invalidateByTag(tag)));
+  }
+
+  /**
+   * 使所有缓存功能层中键以指定前缀开头或满足条件的缓存失效
+   * @param {string|Function} matcher - 键前缀或 (key, entry) => boolean
+   */
+  async function invalidateMatching(matcher) {
+    await Promise.all(getLayers().map(layer => layer.invalidateMatching(matcher)));
+  }
+
+  /**
+   * 清空所有缓存功能层的缓存
+   */
+  async function clearCache() {
+    await Promise.all(getLayers().map(layer => layer.clear()));
+  }
+
+  /**
+   * 添加缓存失效规则
+   * 匹配的请求成功后自动清除对应缓存，例如文章更新后清除文章列表和详情缓存
+   * @param {Object} rule - 失效规则
+   * @param {string|Array<string>} rule.method - 触发失效的请求方法，默认put、patch、delete
+   * @param {string} rule.url - 路径模式，如 /api/articles/:id
+   * @param {Array<string>|Function} rule.tags - 要清除的缓存标签，或 (params, config) => 标签数组
+   * @param {string|Function} rule.match - 要清除的缓存键前缀，或 (key, entry, params, config) => boolean
+   * @returns {Function} 移除该规则的函数
+   */
+  function addInvalidationRule(rule) {
+    const methods = [].concat(rule.method || ['put', 'patch', 'delete']).map(method => method.toLowerCase());
+    const normalizedRule = { ...rule, methods };
+    invalidationRules.push(normalizedRule);
+    
+    return function removeRule() {
+      const index = invalidationRules.indexOf(normalizedRule);
+      if (index !== -1) {
+        invalidationRules.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 请求成功后应用缓存失效规则
+   * @param {Object} config - 原始请求配置（未拼接baseURL）
+   */
+  async function applyInvalidationRules(config) {
+    if (invalidationRules.length === 0 || !config.url) {
+      return;
+    }
+    
+    const method = (config.method || 'get').toLowerCase();
+    
+    for (const rule of invalidationRules) {
+      if (!rule.methods.includes(method)) {
+        continue;
+      }
+      
+      const params = matchPath(rule.url, config.url);
+      if (!params) {
+        continue;
+      }
+      
+      if (rule.tags) {
+        const tags = typeof rule.tags === 'function' ? rule.tags(params, config) : rule.tags;
+        for (const tag of tags) {
+          await invalidateByTag(tag);
+        }
+      }
+      
+      if (rule.match) {
+        await invalidateMatching(typeof rule.match === 'function'
+          ? (key, entry) => rule.match(key, entry, params, config)
+          : rule.match);
+      }
+    }
+  }
+
+  return {
+    cache,
+    idempotent,
+    getCache,
+    getCacheStats,
+    invalidateByTag,
+    invalidateMatching,
+    clearCache,
+    addInvalidationRule,
+    applyInvalidationRules
+  };
+}
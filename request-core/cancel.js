@@ -0,0 +1,163 @@
+/**
+ * 请求取消
+ * 提供取消组、取消功能层以及可被取消的等待等工具
+ */
+import { AbortError } from './errors.js';
+
+/**
+ * 创建请求取消错误
+ * @param {*} reason - 取消原因
+ * @returns {AbortError} 取消错误
+ */
+export function createAbortError(reason) {
+  return new AbortError(typeof reason === 'string' ? reason : 'Request aborted', { reason });
+}
+
+/**
+ * 等待指定时间，signal取消时立即以AbortError结束
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise} 等待结果
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError(signal.reason));
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * 合并多个取消信号，任意一个取消时合并后的信号也取消
+ * @param {...AbortSignal} signals - 取消信号
+ * @returns {AbortSignal} 合并后的信号
+ */
+export function combineSignals(...signals) {
+  signals = signals.filter(Boolean);
+  if (signals.length <= 1) {
+    return signals[0];
+  }
+  
+  const controller = new AbortController();
+  signals.forEach(signal => {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * 创建共享的进行中请求，用于缓存和去重时多个调用方共用同一次上游请求
+ * 上游请求使用独立的取消信号：每个调用方只在自己的signal取消时以AbortError结束，
+ * 其他调用方不受影响；所有调用方都取消后才取消上游请求
+ * @param {Function} run - (signal) => Promise，使用传入的signal发送上游请求
+ * @returns {Object} 共享请求：join(signal)加入请求并返回该调用方的Promise，promise为上游请求，aborted表示上游请求是否已取消
+ */
+export function createSharedRequest(run) {
+  const controller = new AbortController();
+  // 尚未取消的调用方数量
+  let activeCount = 0;
+  
+  const promise = Promise.resolve().then(() => run(controller.signal));
+  // 所有调用方都取消后，上游请求的失败无人处理
+  promise.catch(() => {});
+  
+  return {
+    promise,
+    
+    get aborted() {
+      return controller.signal.aborted;
+    },
+    
+    /**
+     * 加入共享请求
+     * @param {AbortSignal} signal - 调用方的取消信号
+     * @returns {Promise} 上游请求的结果，调用方取消时以AbortError结束
+     */
+    join: function(signal) {
+      if (!signal) {
+        activeCount++;
+        return promise;
+      }
+      if (signal.aborted) {
+        // 创建共享请求的调用方已经取消时，没有调用方等待结果
+        if (activeCount === 0) {
+          controller.abort(signal.reason);
+        }
+        return Promise.reject(createAbortError(signal.reason));
+      }
+      
+      activeCount++;
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          reject(createAbortError(signal.reason));
+          activeCount--;
+          if (activeCount === 0) {
+            controller.abort(signal.reason);
+          }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => {
+          signal.removeEventListener('abort', onAbort);
+        });
+      });
+    }
+  };
+}
+
+/**
+ * 创建取消组
+ * 同一组内的请求可以通过cancel一次性取消（包括排队中和重试等待中的请求），
+ * 取消后取消组会自动更新signal，之后发出的请求不受影响
+ * @returns {Object} 取消组
+ */
+export function createCancelGroup() {
+  let controller = new AbortController();
+  
+  return {
+    /**
+     * 当前取消信号，可作为请求配置中的signal使用
+     */
+    get signal() {
+      return controller.signal;
+    },
+    /**
+     * 取消组内所有进行中的请求
+     * @param {string} reason - 取消原因
+     */
+    cancel: function(reason) {
+      controller.abort(reason);
+      controller = new AbortController();
+    }
+  };
+}
+
+/**
+ * 取消功能层：将取消组的信号合并到每次请求的signal中
+ * @param {Object} group - createCancelGroup创建的取消组
+ * @returns {Function} 功能层
+ */
+export function cancelable(group) {
+  return (next) => function(config) {
+    return next({ ...config, signal: combineSignals(config.signal, group.signal) });
+  };
+}
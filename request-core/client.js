@@ -0,0 +1,479 @@
+/**
+ * 请求客户端
+ * 每个客户端拥有独立的请求实现、配置、拦截器和缓存，多个后端可以同时使用互不影响
+ */
+import { createAbortError } from './cancel.js';
+import { composeLayers, toRequestor, retry } from './layers.js';
+import { createCacheRegistry } from './cache.js';
+import { createAuthManager } from './auth.js';
+import { addEventSupport, LIFECYCLE_EVENT, EVENT_EMITTER } from './events.js';
+import { createScheduler } from './scheduler.js';
+import { createApi } from './api.js';
+import { createValidateLayer } from './schema.js';
+import { resolveEnvelope, unwrapEnvelope } from './envelope.js';
+
+/**
+ * 创建拦截器管理器
+ * 拦截器按注册顺序依次执行，use返回的id可用于eject移除
+ * @returns {Object} 拦截器管理器
+ */
+function createInterceptorManager() {
+  const handlers = [];
+  let nextId = 0;
+  
+  return {
+    /**
+     * 注册拦截器
+     * 每个请求在发出时确定经过的拦截器，之后的use和eject只影响新的请求
+     * @param {Function} fulfilled - 成功处理函数
+     * @param {Function} rejected - 失败处理函数，可返回值恢复请求或继续抛出错误；
+     *   请求拦截器的rejected只收到前面的请求拦截器抛出的错误，返回请求配置时继续请求，未返回配置时继续抛出原错误
+     * @returns {number} 拦截器id
+     */
+    use: function(fulfilled, rejected) {
+      const id = nextId++;
+      handlers.push({ id, fulfilled, rejected });
+      return id;
+    },
+    /**
+     * 移除拦截器
+     * @param {number} id - use返回的拦截器id
+     */
+    eject: function(id) {
+      const index = handlers.findIndex(handler => handler.id === id);
+      if (index !== -1) {
+        handlers.splice(index, 1);
+      }
+    },
+    /**
+     * 清空所有拦截器
+     */
+    clear: function() {
+      handlers.length = 0;
+    },
+    /**
+     * 按注册顺序遍历拦截器
+     * @param {Function} callback - 遍历回调
+     */
+    forEach: function(callback) {
+      handlers.slice().forEach(callback);
+    }
+  };
+}
+
+/**
+ * 为请求实例附加缓存功能层的失效方法
+ * @param {Object} requestor - 请求实例
+ * @param {Function} layer - 缓存功能层
+ * @returns {Object} 带失效方法的请求实例
+ */
+function withCacheControl(requestor, layer) {
+  return {
+    ...requestor,
+    invalidate: layer.invalidate,
+    invalidateByTag: layer.invalidateByTag,
+    invalidateMatching: layer.invalidateMatching,
+    clear: layer.clear,
+    subscribe: layer.subscribe,
+    stats: layer.stats
+  };
+}
+
+/**
+ * 创建请求客户端
+ * @param {Object} options - 客户端配置
+ * @param {Object} options.requestor - 请求实现实例，也可以之后通过inject注入
+ * @param {string} options.baseURL - 请求基础URL
+ * @param {Object} options.headers - 请求头
+ * @param {number} options.timeout - 超时时间
+ * @param {Function|Object} options.paramsSerializer - 查询参数序列化函数或选项，见serializeParams
+ * @param {Object} options.validation - 响应校验的默认选项 { mode, coerce }，见client.validate
+ * @param {boolean|Object} options.envelope - 响应信封配置，true使用默认的 { code, message, data } 格式，见EnvelopeOptions
+ * @param {Object} options.auth - 认证管理器或其配置选项，见createAuthManager
+ * @param {Object} options.scheduler - 共享调度器的配置，见createScheduler
+ * @returns {Object} 请求客户端
+ */
+export function createClient(options = {}) {
+  const { requestor = null, auth = null, scheduler: schedulerOptions = {}, ...config } = options;
+  
+  // 存储请求实现的实例
+  let requestorInstance = requestor;
+  
+  // 已安装的认证管理器及其卸载函数
+  let authManager = null;
+  let uninstallAuth = null;
+  
+  // 客户端配置对象
+  let clientConfig = {
+    baseURL: '',
+    headers: {},
+    timeout: 0,
+    ...config
+  };
+  
+  /**
+   * 客户端拦截器
+   * request: 请求发出前处理配置（如注入token）
+   * response: 响应返回后处理结果（如解包数据），rejected处理函数用于统一处理错误
+   */
+  const interceptors = {
+    request: createInterceptorManager(),
+    response: createInterceptorManager()
+  };
+  
+  // 客户端缓存注册表
+  const caches = createCacheRegistry();
+  
+  /**
+   * 获取客户端的基础URL，调度器据此计算相对路径请求的域名
+   * @returns {string} 基础URL
+   */
+  function getBaseURL() {
+    return clientConfig.baseURL;
+  }
+  
+  // 客户端共享的请求调度器，createParallelRequestor()创建的请求器共用同一个队列和并发限制
+  const scheduler = createScheduler({ baseURL: getBaseURL, ...schedulerOptions });
+  
+  /**
+   * 应用客户端配置到请求配置
+   * @param {Object} config - 原始请求配置
+   * @returns {Object} 应用客户端配置后的请求配置（新对象，不修改原始配置）
+   */
+  function applyClientConfig(config) {
+    // 复制配置，避免重试时重复拼接baseURL
+    config = { ...config };
+    
+    // 合并URL，绝对URL不拼接基础URL（与axios一致）
+    if (clientConfig.baseURL && config.url && !/^[a-z][a-z0-9+.-]*:\/\//i.test(config.url)) {
+      // 确保基础URL以/结尾，请求URL不以/开头
+      const baseURL = clientConfig.baseURL.endsWith('/') ? clientConfig.baseURL : `${clientConfig.baseURL}/`;
+      const url = config.url.startsWith('/') ? config.url.slice(1) : config.url;
+      config.url = `${baseURL}${url}`;
+    }
+    
+    // 合并请求头
+    if (clientConfig.headers) {
+      config.headers = {
+        ...clientConfig.headers,
+        ...config.headers
+      };
+    }
+    
+    // 合并超时时间，单次请求的timeout为0表示不限制超时
+    if (clientConfig.timeout && config.timeout === undefined) {
+      config.timeout = clientConfig.timeout;
+    }
+    
+    // 合并查询参数序列化方式
+    if (clientConfig.paramsSerializer && !config.paramsSerializer) {
+      config.paramsSerializer = clientConfig.paramsSerializer;
+    }
+    
+    return config;
+  }
+  
+  /**
+   * 通过请求实现发送请求，并按客户端和单次请求的信封配置处理响应
+   * @param {Object} requestor - 请求实现实例
+   * @param {Object} config - 最终的请求配置
+   * @returns {Promise} 请求结果，业务失败时抛出BusinessError
+   */
+  async function performRequest(requestor, config) {
+    const response = await requestor.request(config);
+    const envelope = resolveEnvelope(clientConfig.envelope, config.envelope);
+    return envelope ? unwrapEnvelope(response, envelope, config) : response;
+  }
+  
+  /**
+   * 执行请求：应用客户端配置，依次经过请求拦截器、请求实现（含信封处理）和响应拦截器
+   * 开始和结束时发送request:start、request:success或request:error事件
+   * @param {Object} config - 请求配置
+   * @returns {Promise} 经拦截器处理后的请求结果
+   */
+  function dispatchRequest(config) {
+    const requestor = requestorInstance;
+    
+    if (config.signal && config.signal.aborted) {
+      return Promise.reject(createAbortError(config.signal.reason));
+    }
+    
+    const requestConfig = applyClientConfig(config);
+    const startTime = Date.now();
+    client.emit(LIFECYCLE_EVENT.REQUEST_START, { config: requestConfig, startTime });
+    
+    let chain = Promise.resolve(requestConfig);
+    
+    interceptors.request.forEach(({ fulfilled, rejected }) => {
+      // 请求拦截器未返回配置时沿用原配置
+      const onFulfilled = fulfilled && (async (currentConfig) => {
+        const result = await fulfilled(currentConfig);
+        return result === undefined ? currentConfig : result;
+      });
+      // 请求拦截器的rejected只处理前面的请求拦截器抛出的错误：返回请求配置时继续请求，否则继续抛出原错误
+      const onRejected = rejected && (async (error) => {
+        const result = await rejected(error);
+        if (!result || typeof result !== 'object') {
+          throw error;
+        }
+        return result;
+      });
+      chain = chain.then(onFulfilled, onRejected);
+    });
+    
+    chain = chain.then(finalConfig => performRequest(requestor, finalConfig));
+    
+    interceptors.response.forEach(({ fulfilled, rejected }) => {
+      chain = chain.then(fulfilled, rejected);
+    });
+    
+    // 请求成功后按规则清除相关缓存
+    return chain
+      .then(async (response) => {
+        await caches.applyInvalidationRules(config);
+        return response;
+      })
+      .then((response) => {
+        client.emit(LIFECYCLE_EVENT.REQUEST_SUCCESS, {
+          config: requestConfig,
+          response,
+          startTime,
+          duration: Date.now() - startTime
+        });
+        return response;
+      }, (error) => {
+        client.emit(LIFECYCLE_EVENT.REQUEST_ERROR, {
+          config: requestConfig,
+          error,
+          startTime,
+          duration: Date.now() - startTime
+        });
+        throw error;
+      });
+  }
+  
+  /**
+   * 获取请求实现实例
+   * @returns {Object} 请求实现实例
+   */
+  function useRequestor() {
+    if (!requestorInstance) {
+      throw new Error('Requestor not injected. Please call inject() first.');
+    }
+    
+    // 创建一个代理对象，所有请求统一经过客户端配置和拦截器
+    const proxiedRequestor = {
+      ...requestorInstance,
+      request: async function(config) {
+        return dispatchRequest(config);
+      },
+      get: async function(url, config = {}) {
+        return dispatchRequest({ method: 'get', url, ...config });
+      },
+      post: async function(url, data, config = {}) {
+        return dispatchRequest({ method: 'post', url, data, ...config });
+      },
+      put: async function(url, data, config = {}) {
+        return dispatchRequest({ method: 'put', url, data, ...config });
+      },
+      delete: async function(url, config = {}) {
+        return dispatchRequest({ method: 'delete', url, ...config });
+      },
+      patch: async function(url, data, config = {}) {
+        return dispatchRequest({ method: 'patch', url, data, ...config });
+      }
+    };
+    
+    return proxiedRequestor;
+  }
+  
+  /**
+   * 最内层请求：在实际请求时才获取请求器，经过客户端配置和拦截器发送请求
+   * 未注入请求实现时返回被拒绝的Promise，client.get()、compose().get()等方法不会同步抛出错误
+   * @param {Object} config - 请求配置
+   * @returns {Promise} 请求结果
+   */
+  async function baseRequest(config) {
+    return useRequestor().request(config);
+  }
+  
+  const client = {
+    // 直接发送请求：request、get、post、put、delete、patch
+    ...toRequestor(baseRequest),
+    interceptors,
+    useRequestor,
+    
+    /**
+     * 注入请求实现
+     * @param {Object} requestor - 请求实现实例
+     */
+    inject: function(requestor) {
+      requestorInstance = requestor;
+    },
+    
+    /**
+     * 直接通过请求实现发送请求，不应用客户端配置、不经过拦截器，响应信封同样会被处理
+     * 用于重放已经处理过的请求配置，如认证刷新后重放失败的请求
+     * @param {Object} config - 最终的请求配置
+     * @returns {Promise} 请求结果
+     */
+    send: async function(config) {
+      if (!requestorInstance) {
+        throw new Error('Requestor not injected. Please call inject() first.');
+      }
+      return performRequest(requestorInstance, config);
+    },
+    
+    /**
+     * 安装认证管理器，替换之前安装的认证管理器
+     * @param {Object} auth - createAuthManager创建的认证管理器，或其配置选项
+     * @returns {Object} 认证管理器
+     */
+    useAuth: function(auth) {
+      if (uninstallAuth) {
+        uninstallAuth();
+      }
+      authManager = typeof auth.install === 'function' ? auth : createAuthManager(auth);
+      uninstallAuth = authManager.install(client);
+      return authManager;
+    },
+    
+    /**
+     * 获取已安装的认证管理器
+     * @returns {Object|null} 认证管理器
+     */
+    getAuth: function() {
+      return authManager;
+    },
+    
+    /**
+     * 更新客户端配置
+     * @param {Object} config - 配置对象，同createClient
+     */
+    setConfig: function(config) {
+      clientConfig = {
+        ...clientConfig,
+        ...config
+      };
+    },
+    
+    /**
+     * 获取当前客户端配置
+     * @returns {Object} 客户端配置
+     */
+    getConfig: function() {
+      return { ...clientConfig };
+    },
+    
+    /**
+     * 组合多个请求功能层，最内层使用本客户端发送请求
+     * @param {...(Object|Function)} layers - 可选的共享请求配置和功能层
+     * @returns {Object} 组合后的请求实例
+     */
+    compose: function(...layers) {
+      const composed = composeLayers(baseRequest, layers);
+      // 为请求配置附加事件发送函数，功能层通过它发送retry、cache:hit等事件
+      return toRequestor((config) => composed.request({ ...config, [EVENT_EMITTER]: client.emit }));
+    },
+    
+    /**
+     * 根据接口定义创建请求方法，请求通过本客户端发送
+     * @param {Object} definitions - 以方法名为键的接口定义，见EndpointDefinition
+     * @param {Object} options - 配置选项，见createApi
+     * @returns {Object} 以方法名为键的请求方法
+     */
+    defineApi: function(definitions, options) {
+      return createApi(client, definitions, options);
+    },
+    
+    /**
+     * 创建响应校验功能层，校验选项默认使用客户端配置中的validation
+     * @param {Object} definition - 内置校验器、JSON Schema或适配器，见schema.js
+     * @param {Object} options - 校验选项 { mode, coerce }，覆盖客户端配置
+     * @returns {Function} 功能层
+     */
+    validate: function(definition, options = {}) {
+      return createValidateLayer(definition, () => ({ ...clientConfig.validation, ...options }));
+    },
+    
+    cache: caches.cache,
+    idempotent: caches.idempotent,
+    getCache: caches.getCache,
+    getCacheStats: caches.getCacheStats,
+    invalidateByTag: caches.invalidateByTag,
+    invalidateMatching: caches.invalidateMatching,
+    clearCache: caches.clearCache,
+    addInvalidationRule: caches.addInvalidationRule,
+    scheduler,
+    createRetryRequestor,
+    createParallelRequestor,
+    createCacheRequestor,
+    createIdempotentRequest
+  };
+  
+  /**
+   * 创建可重试的请求
+   * @param {number|Object} policy - 最大请求次数（默认5次）或重试策略，同retry功能层
+   * @returns {Object} 带重试功能的请求实例
+   */
+  function createRetryRequestor(policy = 5) {
+    return client.compose(retry(policy));
+  }
+  
+  /**
+   * 创建并发控制的请求
+   * 请求都经过客户端共享的调度器，与客户端的其他请求共用优先级、按域名和路由的并发限制以及限流；
+   * 传入最大并发数或调度配置时，请求器先按自己的限制排队，再进入共享调度器，两者的限制同时生效
+   * @param {number|Object} options - 请求器自己的最大并发数或调度配置，同createScheduler
+   * @returns {Object} 带并发控制的请求实例，包含pause、resume、drain、clear、stats方法，
+   *   传入限制时作用于请求器自己的队列，否则作用于共享调度器
+   */
+  function createParallelRequestor(options) {
+    let layers = [scheduler];
+    if (options) {
+      layers = [createScheduler({
+        baseURL: getBaseURL,
+        ...(typeof options === 'number' ? { maxConcurrent: options } : options)
+      }), scheduler];
+    }
+    const layer = layers[0];
+    
+    return {
+      ...client.compose(...layers),
+      pause: layer.pause,
+      resume: layer.resume,
+      drain: layer.drain,
+      clear: layer.clear,
+      stats: layer.stats
+    };
+  }
+  
+  /**
+   * 创建带缓存的请求
+   * @param {Object|string} options - 缓存配置选项或缓存名称，同cache功能层
+   * @returns {Object} 带缓存功能的请求实例，包含invalidate、invalidateByTag、invalidateMatching、clear、subscribe、stats方法
+   */
+  function createCacheRequestor(options = {}) {
+    const layer = caches.cache(options);
+    return withCacheControl(client.compose(layer), layer);
+  }
+  
+  /**
+   * 创建幂等请求
+   * @param {Function} genKey - 生成幂等键的函数
+   * @returns {Object} 带幂等功能的请求实例，包含invalidate、invalidateByTag、invalidateMatching、clear、subscribe、stats方法
+   */
+  function createIdempotentRequest(genKey) {
+    const layer = caches.idempotent(genKey);
+    return withCacheControl(client.compose(layer), layer);
+  }
+  
+  // 生命周期事件：on、off、once、emit
+  addEventSupport(client);
+  
+  if (auth) {
+    client.useAuth(auth);
+  }
+  
+  return client;
+}
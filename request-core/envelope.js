@@ -0,0 +1,90 @@
+/**
+ * 响应信封
+ * 后端将数据包装为 { code, message, data } 形式时，在客户端统一判断业务状态码：
+ * 成功时将response.data替换为信封中的数据，失败时抛出BusinessError（或按状态码映射的业务错误类型）。
+ * 信封处理位于请求实现之后、响应拦截器之前，fetch和axios实现的行为一致
+ */
+
+import { BusinessError } from './errors.js';
+
+/**
+ * 信封配置
+ * @typedef {Object} EnvelopeOptions
+ * @property {Function} [isEnvelope] - (body, response) => boolean，判断响应体是否为信封，默认为带有code以及data或message属性的对象；
+ *   不是信封的响应（如文件下载、第三方接口）原样返回
+ * @property {Function} [successWhen] - (body, response) => boolean，判断业务是否成功，默认code为0
+ * @property {Function} [unwrap] - (body, response) => 数据，成功时返回的数据，默认为body.data
+ * @property {Function} [toError] - (body, response, config) => Error，失败时抛出的错误，默认根据codes创建BusinessError
+ * @property {Object} [codes] - 业务状态码到错误类型（BusinessError的子类）的映射，供默认的toError使用
+ */
+
+/**
+ * 默认的业务错误：按codes映射错误类型，未映射的状态码使用BusinessError
+ * @param {Object} body - 信封
+ * @param {Object} response - 原始响应
+ * @param {Object} config - 请求配置
+ * @param {Object} codes - 业务状态码到错误类型的映射
+ * @returns {BusinessError} 业务错误
+ */
+function createBusinessError(body, response, config, codes) {
+  const ErrorType = codes[body.code] || BusinessError;
+  return new ErrorType(body.message || `Business error ${body.code}`, {
+    code: body.code,
+    data: body.data,
+    response,
+    config
+  });
+}
+
+// 默认信封配置：{ code, message, data }，code为0表示成功
+const DEFAULT_ENVELOPE = {
+  isEnvelope: body => !!body && typeof body === 'object' && !Array.isArray(body) &&
+    'code' in body && ('data' in body || 'message' in body),
+  successWhen: body => body.code === 0,
+  unwrap: body => body.data,
+  toError: null,
+  codes: {}
+};
+
+/**
+ * 合并客户端和单次请求的信封配置
+ * @param {boolean|EnvelopeOptions} clientEnvelope - 客户端配置，true使用默认配置
+ * @param {boolean|EnvelopeOptions} requestEnvelope - 单次请求配置，false跳过信封处理，对象覆盖客户端配置
+ * @returns {Object|null} 信封配置，不处理信封时为null
+ */
+export function resolveEnvelope(clientEnvelope, requestEnvelope) {
+  if (requestEnvelope === false) {
+    return null;
+  }
+  const base = clientEnvelope === true ? {} : clientEnvelope || null;
+  const override = requestEnvelope && typeof requestEnvelope === 'object' ? requestEnvelope : null;
+  if (!base && !override && requestEnvelope !== true) {
+    return null;
+  }
+  return { ...DEFAULT_ENVELOPE, ...base, ...override };
+}
+
+/**
+ * 处理响应信封
+ * @param {Object} response - 请求实现返回的响应
+ * @param {Object} options - resolveEnvelope合并后的信封配置
+ * @param {Object} config - 请求配置
+ * @returns {Object} data替换为信封中数据的响应，envelope属性保留完整的信封
+ * @throws {Error} 业务失败时抛出toError返回的错误
+ */
+export function unwrapEnvelope(response, options, config) {
+  const body = response.data;
+  if (!options.isEnvelope(body, response)) {
+    return response;
+  }
+  if (!options.successWhen(body, response)) {
+    throw options.toError
+      ? options.toError(body, response, config)
+      : createBusinessError(body, response, config, options.codes || {});
+  }
+  return {
+    ...response,
+    data: options.unwrap(body, response),
+    envelope: body
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * 请求错误类型
+ * fetch和axios实现抛出的错误统一为以下类型，业务代码和重试策略可以通过instanceof或type区分错误
+ */
+
+// 错误类型定义
+export const ERROR_TYPE = {
+  HTTP: 'http',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  ABORT: 'abort',
+  PARSE: 'parse',
+  CACHE_MISS: 'cache-miss',
+  QUEUE_FULL: 'queue-full',
+  VALIDATION: 'validation',
+  BUSINESS: 'business'
+};
+
+/**
+ * 请求错误基类
+ */
+export class RequestError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {string} options.type - 错误类型，见ERROR_TYPE
+   * @param {Object} options.config - 请求配置
+   * @param {Error} options.cause - 原始错误
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.type = options.type || null;
+    this.config = options.config || null;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * HTTP错误：服务器返回了非2xx状态码
+ */
+export class HttpError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {number} options.status - HTTP状态码
+   * @param {string} options.statusText - HTTP状态文本
+   * @param {*} options.body - 响应体
+   * @param {Object} options.headers - 响应头（键名小写）
+   * @param {Object} options.response - 与成功响应结构一致的响应对象
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.HTTP });
+    this.name = 'HttpError';
+    this.status = options.status;
+    this.statusText = options.statusText || '';
+    this.body = options.body;
+    this.headers = options.headers || {};
+    this.response = options.response || null;
+  }
+}
+
+/**
+ * 超时错误
+ */
+export class TimeoutError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {number} options.timeout - 超时时间（毫秒）
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.TIMEOUT });
+    this.name = 'TimeoutError';
+    this.timeout = options.timeout;
+  }
+}
+
+/**
+ * 网络错误：请求未能到达服务器或未收到响应
+ */
+export class NetworkError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * 取消错误：请求被signal或取消组取消
+ */
+export class AbortError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {*} options.reason - 取消原因
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.ABORT });
+    this.name = 'AbortError';
+    this.reason = options.reason;
+  }
+}
+
+/**
+ * 解析错误：响应体无法按预期格式解析
+ */
+export class ParseError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {Object} options.response - 与成功响应结构一致的响应对象（data为原始文本）
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.PARSE });
+    this.name = 'ParseError';
+    this.response = options.response || null;
+  }
+}
+
+/**
+ * 缓存未命中错误：cache-only模式下没有可用的缓存
+ */
+export class CacheMissError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {string} options.key - 缓存键
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.CACHE_MISS });
+    this.name = 'CacheMissError';
+    this.key = options.key;
+  }
+}
+
+/**
+ * 队列已满错误：调度器的等待队列达到上限，请求未被发送
+ */
+export class QueueFullError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {number} options.maxQueueSize - 队列上限
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.QUEUE_FULL });
+    this.name = 'QueueFullError';
+    this.maxQueueSize = options.maxQueueSize;
+  }
+}
+
+/**
+ * 校验错误：响应数据不符合接口声明的结构
+ */
+export class ValidationError extends RequestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误详情
+   * @param {Array<Object>} options.issues - 校验问题列表，每项为 { path, expected, received, message }
+   * @param {Object} options.response - 未经校验的响应对象
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.VALIDATION });
+    this.name = 'ValidationError';
+    this.issues = options.issues || [];
+    this.response = options.response || null;
+  }
+}
+
+/**
+ * 业务错误：HTTP请求成功，但响应信封中的业务状态码表示失败（如 { code: 1001, message: '余额不足' }）
+ * 可以继承BusinessError定义具体的业务错误类型，通过信封配置的codes按状态码映射
+ */
+export class BusinessError extends RequestError {
+  /**
+   * @param {string} message - 错误信息，默认使用信封中的message
+   * @param {Object} options - 错误详情
+   * @param {number|string} options.code - 业务状态码
+   * @param {*} options.data - 信封中的数据
+   * @param {Object} options.response - 原始响应对象，data为完整的信封
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPE.BUSINESS });
+    this.name = 'BusinessError';
+    this.code = options.code;
+    this.data = options.data;
+    this.response = options.response || null;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * 事件支持
+ * 为对象添加on、off、once、emit方法，供客户端生命周期事件、认证管理等需要对外通知的功能使用
+ */
+
+// 客户端生命周期事件
+export const LIFECYCLE_EVENT = {
+  REQUEST_START: 'request:start',
+  REQUEST_SUCCESS: 'request:success',
+  REQUEST_ERROR: 'request:error',
+  RETRY: 'retry',
+  CACHE_HIT: 'cache:hit',
+  CACHE_MISS: 'cache:miss',
+  QUEUE_ENQUEUE: 'queue:enqueue',
+  VALIDATION_FAILED: 'validation:failed'
+};
+
+// 请求配置中携带事件发送函数的键，功能层通过emitEvent向所属客户端发送事件
+export const EVENT_EMITTER = Symbol('eventEmitter');
+
+/**
+ * 注册事件监听器
+ * @param {Object} obj - 要添加事件功能的对象
+ */
+export function addEventSupport(obj) {
+  const eventListeners = {};
+  
+  obj.on = function(eventName, callback) {
+    if (!eventListeners[eventName]) {
+      eventListeners[eventName] = [];
+    }
+    eventListeners[eventName].push(callback);
+    return () => obj.off(eventName, callback);
+  };
+  
+  obj.off = function(eventName, callback) {
+    if (!eventListeners[eventName]) {
+      return;
+    }
+    // 未指定回调时移除该事件的所有监听器
+    eventListeners[eventName] = callback
+      ? eventListeners[eventName].filter(listener => listener !== callback && listener.callback !== callback)
+      : [];
+  };
+  
+  obj.once = function(eventName, callback) {
+    const wrapper = (...args) => {
+      obj.off(eventName, wrapper);
+      callback(...args);
+    };
+    // 记录原始回调，便于通过off(eventName, callback)移除
+    wrapper.callback = callback;
+    return obj.on(eventName, wrapper);
+  };
+  
+  obj.emit = function(eventName, ...args) {
+    if (eventListeners[eventName]) {
+      // 复制监听器列表，回调中移除监听器不影响本次触发；回调出错不影响请求流程
+      eventListeners[eventName].slice().forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Event listener for "${eventName}" failed:`, error);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * 通过请求配置向所属客户端发送事件，配置不属于任何客户端时忽略
+ * @param {Object} config - 请求配置
+ * @param {string} eventName - 事件名称，见LIFECYCLE_EVENT
+ * @param {Object} payload - 事件数据
+ */
+export function emitEvent(config, eventName, payload) {
+  const emit = config && config[EVENT_EMITTER];
+  if (emit) {
+    emit(eventName, payload);
+  }
+}
@@ -1,7 +1,46 @@
 /**
  * 请求库核心层
  * 提供请求接口定义和上层功能实现
+ * 模块级方法（inject、setGlobalConfig、useRequestor等）作用于默认客户端，
+ * 需要同时访问多个后端时使用createClient创建独立的客户端
  */
+import { createClient } from './client.js';
+
+// 导出统一的请求错误类型
+export {
+  ERROR_TYPE,
+  RequestError,
+  HttpError,
+  TimeoutError,
+  NetworkError,
+  AbortError,
+  ParseError,
+  CacheMissError,
+  QueueFullError,
+  ValidationError,
+  BusinessError
+} from './errors.js';
+
+// 导出缓存存储实现
+export {
+  createMemoryStore,
+  createLRUStore,
+  createStorageStore,
+  createIndexedDBStore,
+  createStubStore
+} from './cache-store.js';
+
+// 导出与客户端无关的功能层
+export { retry, parallel, dedupe } from './layers.js';
+export { createCancelGroup, cancelable } from './cancel.js';
+export { CACHE_MODE } from './cache.js';
+export { RESPONSE_TYPE } from './response.js';
+export { ARRAY_FORMAT, serializeParams, normalizeURL } from './params.js';
+export { createAuthManager } from './auth.js';
+export { LIFECYCLE_EVENT } from './events.js';
+export { createScheduler, PRIORITY } from './scheduler.js';
+export { schema, validateSchema, fromJSONSchema, fromAjv, VALIDATION_MODE } from './schema.js';
+export { createClient };
 
 // 请求方法类型定义
 const METHOD_TYPE = {
@@ -12,364 +51,259 @@ const METHOD_TYPE = {
   PATCH: 'patch'
 };
 
-// 存储请求实现的实例
-let requestorInstance = null;
-
-// 全局配置对象
-let globalConfig = {
-  baseURL: '',
-  headers: {},
-  timeout: 0
-};
+/**
+ * 默认客户端
+ * 未指定客户端的业务模块和模块级方法都使用该客户端
+ */
+export const defaultClient = createClient();
 
 /**
- * 设置全局请求配置
+ * 设置全局请求配置（默认客户端）
  * @param {Object} config - 全局配置对象
  * @param {string} config.baseURL - 请求基础URL
  * @param {Object} config.headers - 全局请求头
  * @param {number} config.timeout - 全局超时时间
+ * @param {Function|Object} config.paramsSerializer - 查询参数序列化函数或选项，见serializeParams
+ * @param {Object} config.validation - 响应校验的默认选项 { mode, coerce }，见validate
+ * @param {boolean|Object} config.envelope - 响应信封配置，true使用默认的 { code, message, data } 格式，见EnvelopeOptions
  */
 export function setGlobalConfig(config) {
-  globalConfig = {
-    ...globalConfig,
-    ...config
-  };
+  defaultClient.setConfig(config);
 }
 
 /**
- * 注入请求实现
+ * 注入请求实现（默认客户端）
  * @param {Object} requestor - 请求实现实例
  */
 export function inject(requestor) {
-  requestorInstance = requestor;
+  defaultClient.inject(requestor);
 }
 
 /**
- * 应用全局配置到请求配置
- * @param {Object} config - 原始请求配置
- * @returns {Object} 应用全局配置后的请求配置
+ * 全局拦截器（默认客户端）
+ * request: 请求发出前处理配置（如注入token）
+ * response: 响应返回后处理结果（如解包数据），rejected处理函数用于统一处理错误
  */
-function applyGlobalConfig(config) {
-  // 合并URL
-  if (globalConfig.baseURL && config.url) {
-    // 确保基础URL以/结尾，请求URL不以/开头
-    const baseURL = globalConfig.baseURL.endsWith('/') ? globalConfig.baseURL : `${globalConfig.baseURL}/`;
-    const url = config.url.startsWith('/') ? config.url.slice(1) : config.url;
-    config.url = `${baseURL}${url}`;
-  }
-  
-  // 合并请求头
-  if (globalConfig.headers) {
-    config.headers = {
-      ...globalConfig.headers,
-      ...config.headers
-    };
-  }
-  
-  // 合并超时时间
-  if (globalConfig.timeout && !config.timeout) {
-    config.timeout = globalConfig.timeout;
-  }
-  
-  return config;
-}
+export const interceptors = defaultClient.interceptors;
 
 /**
- * 获取请求实现实例
+ * 共享的请求调度器（默认客户端）
+ * 可通过configure修改并发限制，pause、resume、drain、clear控制队列
+ */
+export const scheduler = defaultClient.scheduler;
+
+/**
+ * 获取请求实现实例（默认客户端）
  * @returns {Object} 请求实现实例
  */
 export function useRequestor() {
-  if (!requestorInstance) {
-    throw new Error('Requestor not injected. Please call inject() first.');
-  }
-  
-  // 创建一个代理对象，自动应用全局配置
-  const proxiedRequestor = {
-    ...requestorInstance,
-    request: async function(config) {
-      const updatedConfig = applyGlobalConfig(config);
-      return requestorInstance.request.call(requestorInstance, updatedConfig);
-    },
-    get: async function(url, config = {}) {
-      const updatedConfig = applyGlobalConfig({ method: 'get', url, ...config });
-      return requestorInstance.get.call(requestorInstance, updatedConfig.url, updatedConfig);
-    },
-    post: async function(url, data, config = {}) {
-      const updatedConfig = applyGlobalConfig({ method: 'post', url, data, ...config });
-      return requestorInstance.post.call(requestorInstance, updatedConfig.url, updatedConfig.data, updatedConfig);
-    },
-    put: async function(url, data, config = {}) {
-      const updatedConfig = applyGlobalConfig({ method: 'put', url, data, ...config });
-      return requestorInstance.put.call(requestorInstance, updatedConfig.url, updatedConfig.data, updatedConfig);
-    },
-    delete: async function(url, config = {}) {
-      const updatedConfig = applyGlobalConfig({ method: 'delete', url, ...config });
-      return requestorInstance.delete.call(requestorInstance, updatedConfig.url, updatedConfig);
-    }
-  };
-  
-  return proxiedRequestor;
+  return defaultClient.useRequestor();
 }
 
 /**
- * 注册事件监听器
- * @param {Object} obj - 要添加事件功能的对象
+ * 监听请求生命周期事件（默认客户端）
+ * @param {string} eventName - 事件名称，见LIFECYCLE_EVENT
+ * @param {Function} listener - 监听器，参数为事件数据
+ * @returns {Function} 取消监听的函数
  */
-function addEventSupport(obj) {
-  const eventListeners = {};
-  
-  obj.on = function(eventName, callback) {
-    if (!eventListeners[eventName]) {
-      eventListeners[eventName] = [];
-    }
-    eventListeners[eventName].push(callback);
-  };
-  
-  obj.emit = function(eventName, ...args) {
-    if (eventListeners[eventName]) {
-      eventListeners[eventName].forEach(callback => {
-        callback(...args);
-      });
-    }
-  };
+export function on(eventName, listener) {
+  return defaultClient.on(eventName, listener);
 }
 
 /**
- * 创建可重试的请求
- * @param {number} maxCount - 最大重试次数，默认5次
- * @returns {Object} 带重试功能的请求实例
+ * 取消监听请求生命周期事件（默认客户端）
+ * @param {string} eventName - 事件名称
+ * @param {Function} listener - 监听器，不传时移除该事件的所有监听器
  */
-export function createRetryRequestor(maxCount = 5) {
-  // 返回一个代理对象，在实际请求时才获取请求器
-  return {
-    get: (url, config) => makeRequest({ method: 'get', url, ...config }),
-    post: (url, data, config) => makeRequest({ method: 'post', url, data, ...config }),
-    put: (url, data, config) => makeRequest({ method: 'put', url, data, ...config }),
-    delete: (url, config) => makeRequest({ method: 'delete', url, ...config }),
-    request: makeRequest
-  };
-  
-  async function makeRequest(config) {
-    const req = useRequestor();
-    const originalRequest = req.request;
-    
-    let count = 0;
-    
-    while (count < maxCount) {
-      try {
-        return await originalRequest.call(req, config);
-      } catch (error) {
-        count++;
-        if (count >= maxCount) {
-          throw error;
-        }
-        // 等待一段时间后重试
-        await new Promise(resolve => setTimeout(resolve, 1000 * count));
-      }
-    }
-  }
+export function off(eventName, listener) {
+  defaultClient.off(eventName, listener);
 }
 
 /**
- * 创建并发控制的请求
- * @param {number} maxParallelCount - 最大并发数，默认4个
- * @returns {Object} 带并发控制的请求实例
+ * 监听一次请求生命周期事件（默认客户端）
+ * @param {string} eventName - 事件名称
+ * @param {Function} listener - 监听器
+ * @returns {Function} 取消监听的函数
  */
-export function createParallelRequestor(maxParallelCount = 4) {
-  const queue = [];
-  let runningCount = 0;
-  
-  // 返回一个代理对象，在实际请求时才获取请求器
-  return {
-    get: (url, config) => makeRequest({ method: 'get', url, ...config }),
-    post: (url, data, config) => makeRequest({ method: 'post', url, data, ...config }),
-    put: (url, data, config) => makeRequest({ method: 'put', url, data, ...config }),
-    delete: (url, config) => makeRequest({ method: 'delete', url, ...config }),
-    request: makeRequest
-  };
-  
-  function makeRequest(config) {
-    return new Promise((resolve, reject) => {
-      queue.push({ config, resolve, reject });
-      processQueue();
-    });
-  }
-  
-  // 处理队列
-  function processQueue() {
-    if (queue.length === 0 || runningCount >= maxParallelCount) {
-      return;
-    }
-    
-    runningCount++;
-    const { config, resolve, reject } = queue.shift();
-    
-    const req = useRequestor();
-    const originalRequest = req.request;
-    
-    originalRequest.call(req, config)
-      .then(resolve)
-      .catch(reject)
-      .finally(() => {
-        runningCount--;
-        processQueue();
-      });
-  }
+export function once(eventName, listener) {
+  return defaultClient.once(eventName, listener);
 }
 
 /**
- * 内存缓存实现
+ * 安装认证管理器（默认客户端）
+ * @param {Object} auth - createAuthManager创建的认证管理器，或其配置选项
+ * @returns {Object} 认证管理器
  */
-function createMemoryStore() {
-  const store = new Map();
-  
-  return {
-    has: async function(key) {
-      return store.has(key);
-    },
-    set: async function(key, value) {
-      store.set(key, value);
-    },
-    get: async function(key) {
-      return store.get(key);
-    },
-    delete: async function(key) {
-      store.delete(key);
-    }
-  };
+export function useAuth(auth) {
+  return defaultClient.useAuth(auth);
 }
 
 /**
- * 本地存储缓存实现
+ * 获取已安装的认证管理器（默认客户端）
+ * @returns {Object|null} 认证管理器
  */
-function createStorageStore() {
-  return {
-    has: async function(key) {
-      return localStorage.getItem(key) !== null;
-    },
-    set: async function(key, value) {
-      localStorage.setItem(key, JSON.stringify(value));
-    },
-    get: async function(key) {
-      const value = localStorage.getItem(key);
-      return value ? JSON.parse(value) : null;
-    },
-    delete: async function(key) {
-      localStorage.removeItem(key);
-    }
-  };
+export function getAuth() {
+  return defaultClient.getAuth();
 }
 
 /**
- * 获取缓存存储实例
- * @param {boolean} isPersist - 是否持久化存储
- * @returns {Object} 缓存存储实例
+ * 组合多个请求功能层（默认客户端）
+ * 每一层都是 (next) => request 形式的函数，包裹下一层的request；
+ * 排在前面的层位于外侧，例如 compose(retry(3), cache(), parallel(4))：
+ * 先查缓存，未命中时进入并发队列发送请求，整个过程失败时重试
+ * @param {Object|Function} [sharedConfig] - 可选的共享请求配置，作为第一个参数传入时会合并到每次请求中
+ * @param {...Function} layers - 功能层
+ * @returns {Object} 组合后的请求实例
  */
-function useCacheStore(isPersist) {
-  if (!isPersist) {
-    return createMemoryStore();
-  } else {
-    // 检查localStorage是否可用
-    try {
-      localStorage.setItem('test', 'test');
-      localStorage.removeItem('test');
-      return createStorageStore();
-    } catch (error) {
-      console.warn('localStorage is not available, using memory store instead.');
-      return createMemoryStore();
-    }
-  }
+export function compose(...layers) {
+  return defaultClient.compose(...layers);
 }
 
 /**
- * 创建带缓存的请求
- * @param {Object} options - 缓存配置选项
+ * 缓存功能层（默认客户端）
+ * 返回的功能层同时提供invalidate、invalidateByTag、invalidateMatching、clear等失效方法和stats统计方法
+ * 指定name时创建命名缓存，之后在任何地方使用相同name都会引用同一个缓存（以首次创建时的选项为准）
+ * @param {Object|string} options - 缓存配置选项，传入字符串时等同于 { name }
+ * @param {string} options.name - 缓存名称
  * @param {Function} options.key - 生成缓存键的函数
  * @param {number} options.duration - 缓存有效期（毫秒）
  * @param {Function} options.isValid - 自定义缓存是否有效
- * @param {boolean} options.persist - 是否持久化缓存
- * @returns {Object} 带缓存功能的请求实例
+ * @param {boolean|string} options.persist - 是否持久化缓存，true或'local'使用localStorage，'session'使用sessionStorage
+ * @param {string} options.namespace - 持久化缓存的命名空间，默认request-cache
+ * @param {Object} options.store - 自定义缓存存储，需实现has、get、set、delete、keys异步方法，设置后忽略persist
+ * @param {Array<string>|Function} options.tags - 缓存标签，或 (config) => 标签数组
+ * @param {string} options.mode - 默认缓存模式，见CACHE_MODE，可通过请求配置中的cacheMode单次覆盖
+ * @returns {Function} 功能层
+ */
+export function cache(options) {
+  return defaultClient.cache(options);
+}
+
+/**
+ * 幂等功能层（默认客户端）
+ * 相同的请求在缓存有效期内只发送一次，并发的相同请求共享同一个进行中的请求
+ * @param {Function} genKey - 生成幂等键的函数
+ * @returns {Function} 功能层
+ */
+export function idempotent(genKey) {
+  return defaultClient.idempotent(genKey);
+}
+
+/**
+ * 获取命名缓存（默认客户端）
+ * @param {string} name - 缓存名称
+ * @returns {Function|null} 缓存功能层，不存在时返回null
+ */
+export function getCache(name) {
+  return defaultClient.getCache(name);
+}
+
+/**
+ * 获取所有命名缓存的统计（默认客户端）
+ * @returns {Promise<Object>} 以缓存名称为键的统计数据
+ */
+export function getCacheStats() {
+  return defaultClient.getCacheStats();
+}
+
+/**
+ * 使所有缓存功能层中带有指定标签的缓存失效（默认客户端）
+ * @param {string} tag - 缓存标签
+ */
+export function invalidateByTag(tag) {
+  return defaultClient.invalidateByTag(tag);
+}
+
+/**
+ * 使所有缓存功能层中键以指定前缀开头或满足条件的缓存失效（默认客户端）
+ * @param {string|Function} matcher - 键前缀或 (key, entry) => boolean
+ */
+export function invalidateMatching(matcher) {
+  return defaultClient.invalidateMatching(matcher);
+}
+
+/**
+ * 清空所有缓存功能层的缓存（默认客户端）
+ */
+export function clearCache() {
+  return defaultClient.clearCache();
+}
+
+/**
+ * 添加缓存失效规则（默认客户端）
+ * 匹配的请求成功后自动清除对应缓存，例如文章更新后清除文章列表和详情缓存
+ * @param {Object} rule - 失效规则
+ * @param {string|Array<string>} rule.method - 触发失效的请求方法，默认put、patch、delete
+ * @param {string} rule.url - 路径模式，如 /api/articles/:id
+ * @param {Array<string>|Function} rule.tags - 要清除的缓存标签，或 (params, config) => 标签数组
+ * @param {string|Function} rule.match - 要清除的缓存键前缀，或 (key, entry, params, config) => boolean
+ * @returns {Function} 移除该规则的函数
+ */
+export function addInvalidationRule(rule) {
+  return defaultClient.addInvalidationRule(rule);
+}
+
+/**
+ * 创建可重试的请求（默认客户端）
+ * @param {number|Object} policy - 最大请求次数（默认5次）或重试策略，同retry功能层
+ * @returns {Object} 带重试功能的请求实例
+ */
+export function createRetryRequestor(policy) {
+  return defaultClient.createRetryRequestor(policy);
+}
+
+/**
+ * 创建并发控制的请求（默认客户端）
+ * 不传参数时使用共享的调度器；传入最大并发数或调度配置时使用独立的队列
+ * @param {number|Object} options - 最大并发数或调度配置，同createScheduler
+ * @returns {Object} 带并发控制的请求实例
+ */
+export function createParallelRequestor(options) {
+  return defaultClient.createParallelRequestor(options);
+}
+
+/**
+ * 创建带缓存的请求（默认客户端）
+ * @param {Object|string} options - 缓存配置选项或缓存名称，同cache功能层
+ * @returns {Object} 带缓存功能的请求实例，包含invalidate、invalidateByTag、invalidateMatching、clear、subscribe、stats方法
  */
-export function createCacheRequestor(options = {}) {
-  // 参数归一化
-  const normalizedOptions = {
-    key: options.key || ((config) => `${config.method}-${config.url}`),
-    duration: options.duration || 1000 * 60 * 5, // 默认5分钟
-    isValid: options.isValid || null,
-    persist: options.persist || false
-  };
-  
-  // 获取缓存存储
-  const store = useCacheStore(normalizedOptions.persist);
-  
-  // 返回一个代理对象，在实际请求时才获取请求器
-  return {
-    get: (url, config) => makeRequest({ method: 'get', url, ...config }),
-    post: (url, data, config) => makeRequest({ method: 'post', url, data, ...config }),
-    put: (url, data, config) => makeRequest({ method: 'put', url, data, ...config }),
-    delete: (url, config) => makeRequest({ method: 'delete', url, ...config }),
-    request: makeRequest
-  };
-  
-  async function makeRequest(config) {
-    const key = normalizedOptions.key(config);
-    const hasKey = await store.has(key);
-    
-    if (hasKey) {
-      const cache = await store.get(key);
-      const now = Date.now();
-      
-      // 检查缓存是否有效
-      let isValid = true;
-      if (normalizedOptions.isValid) {
-        isValid = normalizedOptions.isValid(key, config, cache);
-      } else {
-        isValid = (now - cache.timestamp) < normalizedOptions.duration;
-      }
-      
-      if (isValid) {
-        return cache.data;
-      }
-    }
-    
-    // 发送请求并缓存结果
-    const req = useRequestor();
-    const originalRequest = req.request;
-    const result = await originalRequest.call(req, config);
-    
-    await store.set(key, {
-      data: result,
-      timestamp: Date.now()
-    });
-    
-    return result;
-  }
+export function createCacheRequestor(options) {
+  return defaultClient.createCacheRequestor(options);
 }
 
 /**
- * 创建幂等请求
+ * 创建幂等请求（默认客户端）
  * @param {Function} genKey - 生成幂等键的函数
- * @returns {Object} 带幂等功能的请求实例
+ * @returns {Object} 带幂等功能的请求实例，包含invalidate、invalidateByTag、invalidateMatching、clear、subscribe、stats方法
  */
 export function createIdempotentRequest(genKey) {
-  return createCacheRequestor({
-    key: genKey || ((config) => {
-      const { method, url, params, data } = config;
-      const keyParts = [method, url];
-      
-      if (params) {
-        keyParts.push(JSON.stringify(params));
-      }
-      
-      if (data) {
-        keyParts.push(JSON.stringify(data));
-      }
-      
-      return keyParts.join('-');
-    }),
-    duration: 1000 * 60 * 60, // 幂等缓存默认1小时
-    persist: false
-  });
+  return defaultClient.createIdempotentRequest(genKey);
+}
+
+/**
+ * 根据接口定义创建请求方法（默认客户端）
+ * 例如 defineApi({ getArticleDetail: { method: 'get', path: '/api/articles/:id', args: ['id'], retry: 3 } })
+ * 生成的方法完成路径参数插值、查询参数和请求体映射，按接口配置缓存、重试和幂等，失败时打印错误日志并抛出错误，成功时返回response.data
+ * @param {Object} definitions - 以方法名为键的接口定义，见EndpointDefinition
+ * @param {Object} options - 配置选项
+ * @param {Function} options.onError - 错误处理函数 (error, { name, description, input }) => void，默认打印错误日志
+ * @returns {Object} 以方法名为键的请求方法，开启缓存或幂等的方法带有cache属性（缓存功能层）
+ */
+export function defineApi(definitions, options) {
+  return defaultClient.defineApi(definitions, options);
+}
+
+/**
+ * 响应校验功能层（默认客户端）
+ * 校验response.data并返回转换后的数据，校验选项默认使用setGlobalConfig设置的validation
+ * @param {Object} definition - 内置校验器（schema）、JSON Schema或适配器（fromAjv）
+ * @param {Object} options - 校验选项
+ * @param {string} options.mode - 校验模式，见VALIDATION_MODE，默认error
+ * @param {boolean} options.coerce - 是否转换数字、布尔值和日期，默认true
+ * @returns {Function} 功能层
+ */
+export function validate(definition, options) {
+  return defaultClient.validate(definition, options);
 }
 
 // 导出方法类型
@@ -0,0 +1,327 @@
+/**
+ * 请求功能层
+ * 功能层是 (next) => request 形式的函数，可以通过compose自由组合
+ */
+import { HttpError, NetworkError, TimeoutError, AbortError } from './errors.js';
+import { sleep, createSharedRequest } from './cancel.js';
+import { normalizeURL } from './params.js';
+import { LIFECYCLE_EVENT, emitEvent } from './events.js';
+import { createScheduler } from './scheduler.js';
+
+/**
+ * 根据request函数生成请求实例，get/post/put/delete/patch均转发到request
+ * @param {Function} request - 接收请求配置并返回Promise的函数
+ * @returns {Object} 请求实例
+ */
+export function toRequestor(request) {
+  return {
+    get: (url, config) => request({ method: 'get', url, ...config }),
+    post: (url, data, config) => request({ method: 'post', url, data, ...config }),
+    put: (url, data, config) => request({ method: 'put', url, data, ...config }),
+    delete: (url, config) => request({ method: 'delete', url, ...config }),
+    patch: (url, data, config) => request({ method: 'patch', url, data, ...config }),
+    request
+  };
+}
+
+/**
+ * 合并共享配置与单次请求配置
+ * @param {Object} sharedConfig - 共享配置
+ * @param {Object} config - 单次请求配置
+ * @returns {Object} 合并后的配置
+ */
+function mergeConfig(sharedConfig, config = {}) {
+  return {
+    ...sharedConfig,
+    ...config,
+    headers: {
+      ...sharedConfig.headers,
+      ...config.headers
+    }
+  };
+}
+
+/**
+ * 将多个功能层组合到基础请求之上
+ * 每一层都是 (next) => request 形式的函数，包裹下一层的request；
+ * 排在前面的层位于外侧，例如 [retry(3), cache(), parallel(4)]：
+ * 先查缓存，未命中时进入并发队列发送请求，整个过程失败时重试
+ * @param {Function} baseRequest - 最内层请求
+ * @param {Array} layers - 功能层，第一个元素可以是共享请求配置对象，会合并到每次请求中
+ * @returns {Object} 组合后的请求实例
+ */
+export function composeLayers(baseRequest, layers) {
+  layers = layers.slice();
+  let sharedConfig = {};
+  if (layers.length > 0 && typeof layers[0] !== 'function') {
+    sharedConfig = layers.shift() || {};
+  }
+  
+  const request = layers.reduceRight((next, layer) => layer(next), baseRequest);
+  
+  return toRequestor((config) => request(mergeConfig(sharedConfig, config)));
+}
+
+// 默认允许重试的请求方法（幂等方法）
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * 默认的重试判断：仅重试幂等方法的网络错误、超时以及408/429/5xx响应
+ * @param {Error} error - 请求错误
+ * @param {number} attempt - 已失败的次数
+ * @param {Object} config - 请求配置
+ * @param {Object} policy - 归一化后的重试策略
+ * @returns {boolean} 是否重试
+ */
+function defaultShouldRetry(error, attempt, config, policy) {
+  const method = (config.method || 'get').toLowerCase();
+  if (!policy.methods.includes(method)) {
+    return false;
+  }
+  
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return true;
+  }
+  
+  if (error instanceof HttpError) {
+    return typeof policy.statusCodes === 'function'
+      ? policy.statusCodes(error.status)
+      : policy.statusCodes.includes(error.status);
+  }
+  
+  return false;
+}
+
+/**
+ * 重试策略归一化
+ * @param {number|Object} policy - 最大请求次数或重试策略
+ * @returns {Object} 归一化后的重试策略
+ */
+function normalizeRetryPolicy(policy) {
+  if (typeof policy === 'number') {
+    policy = { maxCount: policy };
+  }
+  
+  return {
+    maxCount: policy.maxCount || 5,
+    backoff: policy.backoff || 'exponential',
+    delay: policy.delay !== undefined ? policy.delay : 1000,
+    maxDelay: policy.maxDelay !== undefined ? policy.maxDelay : 30000,
+    jitter: policy.jitter !== undefined ? policy.jitter : true,
+    methods: (policy.methods || IDEMPOTENT_METHODS).map(method => method.toLowerCase()),
+    statusCodes: policy.statusCodes || (status => status === 408 || status === 429 || status >= 500),
+    shouldRetry: policy.shouldRetry || null,
+    respectRetryAfter: policy.respectRetryAfter !== undefined ? policy.respectRetryAfter : true,
+    onRetry: policy.onRetry || null
+  };
+}
+
+/**
+ * 解析Retry-After响应头
+ * @param {Error} error - 请求错误
+ * @returns {number|null} 需要等待的毫秒数，没有该响应头时返回null
+ */
+function parseRetryAfter(error) {
+  if (!(error instanceof HttpError) || !error.headers) {
+    return null;
+  }
+  
+  const value = error.headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  // 秒数格式
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  // HTTP日期格式
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  
+  return null;
+}
+
+/**
+ * 计算第attempt次重试前的等待时间
+ * @param {Object} policy - 归一化后的重试策略
+ * @param {number} attempt - 已失败的次数
+ * @param {Error} error - 请求错误
+ * @returns {number} 等待时间（毫秒）
+ */
+function getRetryDelay(policy, attempt, error) {
+  if (policy.respectRetryAfter) {
+    const retryAfter = parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+  }
+  
+  let delay;
+  if (typeof policy.backoff === 'function') {
+    delay = policy.backoff(attempt, error);
+  } else if (policy.backoff === 'fixed') {
+    delay = policy.delay;
+  } else if (policy.backoff === 'linear') {
+    delay = policy.delay * attempt;
+  } else {
+    delay = policy.delay * Math.pow(2, attempt - 1);
+  }
+  delay = Math.min(delay, policy.maxDelay);
+  
+  // 抖动：在[delay/2, delay]之间随机，避免大量客户端同时重试
+  if (policy.jitter) {
+    delay = delay / 2 + Math.random() * delay / 2;
+  }
+  
+  return delay;
+}
+
+/**
+ * 重试功能层
+ * @param {number|Object} policy - 最大请求次数（默认5次）或重试策略
+ * @param {number} policy.maxCount - 最大请求次数，默认5次
+ * @param {string|Function} policy.backoff - 退避策略：'exponential'（默认）、'linear'、'fixed'，或 (attempt, error) => 毫秒数
+ * @param {number} policy.delay - 基础等待时间（毫秒），默认1000
+ * @param {number} policy.maxDelay - 最大等待时间（毫秒），默认30000
+ * @param {boolean} policy.jitter - 是否添加随机抖动，默认true
+ * @param {Array<string>} policy.methods - 允许重试的请求方法，默认只包含幂等方法
+ * @param {Array<number>|Function} policy.statusCodes - 允许重试的HTTP状态码，默认408、429和5xx
+ * @param {Function} policy.shouldRetry - 自定义重试判断 (error, attempt, config) => boolean，设置后替代默认判断
+ * @param {boolean} policy.respectRetryAfter - 是否遵循Retry-After响应头，默认true
+ * @param {Function} policy.onRetry - 重试前回调 (error, attempt, delay, config)
+ * @returns {Function} 功能层
+ */
+export function retry(policy = 5) {
+  const normalizedPolicy = normalizeRetryPolicy(policy);
+  
+  return (next) => async function(config) {
+    let count = 0;
+    
+    while (true) {
+      try {
+        return await next(config);
+      } catch (error) {
+        count++;
+        // 请求已取消时不再重试
+        if (count >= normalizedPolicy.maxCount || (config.signal && config.signal.aborted) || error instanceof AbortError) {
+          throw error;
+        }
+        
+        const shouldRetry = normalizedPolicy.shouldRetry
+          ? normalizedPolicy.shouldRetry(error, count, config)
+          : defaultShouldRetry(error, count, config, normalizedPolicy);
+        if (!shouldRetry) {
+          throw error;
+        }
+        
+        const delay = getRetryDelay(normalizedPolicy, count, error);
+        if (normalizedPolicy.onRetry) {
+          normalizedPolicy.onRetry(error, count, delay, config);
+        }
+        emitEvent(config, LIFECYCLE_EVENT.RETRY, { config, error, attempt: count, delay });
+        
+        // 等待一段时间后重试，等待期间可被取消
+        await sleep(delay, config.signal);
+      }
+    }
+  };
+}
+
+/**
+ * 并发控制功能层
+ * 同一个功能层实例被多处组合时共享同一个队列；需要优先级、按域名限制、限流等功能时使用createScheduler
+ * @param {number} maxParallelCount - 最大并发数，默认4个
+ * @returns {Function} 功能层
+ */
+export function parallel(maxParallelCount = 4) {
+  return createScheduler({ maxConcurrent: maxParallelCount });
+}
+
+// 无法序列化的请求体（FormData、Blob等）的编号，同一个对象得到相同的编号
+const opaqueBodyIds = new WeakMap();
+let nextOpaqueBodyId = 0;
+
+/**
+ * 判断是否为无法按内容序列化的请求体，JSON.stringify会将它们序列化为"{}"
+ * @param {*} value - 请求体或其中的字段
+ * @returns {boolean} 是否无法序列化
+ */
+function isOpaqueBody(value) {
+  return (typeof FormData !== 'undefined' && value instanceof FormData) ||
+    (typeof Blob !== 'undefined' && value instanceof Blob) ||
+    (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream) ||
+    value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value);
+}
+
+/**
+ * 序列化请求体，用于生成幂等键
+ * URLSearchParams按查询字符串序列化；FormData、Blob、ArrayBuffer等按对象本身编号，
+ * 同一个对象（如重试时）得到相同的键，内容不同的上传不会被合并为同一个请求
+ * @param {*} data - 请求体
+ * @returns {string} 序列化结果
+ */
+function serializeBody(data) {
+  return JSON.stringify(data, (key, value) => {
+    if (typeof URLSearchParams !== 'undefined' && value instanceof URLSearchParams) {
+      return `URLSearchParams(${value.toString()})`;
+    }
+    if (value && typeof value === 'object' && isOpaqueBody(value)) {
+      if (!opaqueBodyIds.has(value)) {
+        opaqueBodyIds.set(value, ++nextOpaqueBodyId);
+      }
+      return `${value.constructor.name}#${opaqueBodyIds.get(value)}`;
+    }
+    return value;
+  });
+}
+
+/**
+ * 默认的幂等键：请求方法、规范化URL（含查询参数）和请求体
+ * @param {Object} config - 请求配置
+ * @returns {string} 幂等键
+ */
+export function defaultIdempotentKey(config) {
+  const { method, data } = config;
+  const keyParts = [method, normalizeURL(config)];
+  
+  if (data) {
+    keyParts.push(serializeBody(data));
+  }
+  
+  return keyParts.join('-');
+}
+
+/**
+ * 请求去重功能层
+ * 只合并并发的相同请求，请求完成后不保留结果
+ * @param {Function} genKey - 生成去重键的函数，默认与幂等键相同
+ * @returns {Function} 功能层
+ */
+export function dedupe(genKey) {
+  const getKey = genKey || defaultIdempotentKey;
+  const inflight = new Map();
+  
+  return (next) => function(config) {
+    const key = getKey(config);
+    const current = inflight.get(key);
+    if (current && !current.aborted) {
+      return current.join(config.signal);
+    }
+    
+    // 上游请求使用共享请求自己的signal，一个调用方取消不影响其他调用方
+    const shared = createSharedRequest(signal => next({ ...config, signal }).finally(() => {
+      if (inflight.get(key) === shared) {
+        inflight.delete(key);
+      }
+    }));
+    
+    inflight.set(key, shared);
+    return shared.join(config.signal);
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * 查询参数序列化
+ * fetch和axios实现共用，保证两种实现生成的URL一致；缓存键和幂等键也基于这里生成的规范化URL
+ */
+
+// 数组参数格式
+export const ARRAY_FORMAT = {
+  REPEAT: 'repeat', // a=1&a=2
+  BRACKETS: 'brackets', // a[]=1&a[]=2，与axios默认格式一致
+  COMMA: 'comma' // a=1,2
+};
+
+/**
+ * 编码参数，与axios一致保留 : $ , [ ] 字符，空格编码为+
+ * @param {string} value - 参数名或参数值
+ * @returns {string} 编码结果
+ */
+function encode(value) {
+  return encodeURIComponent(value)
+    .replace(/%3A/gi, ':')
+    .replace(/%24/g, '$')
+    .replace(/%2C/gi, ',')
+    .replace(/%20/g, '+')
+    .replace(/%5B/gi, '[')
+    .replace(/%5D/gi, ']');
+}
+
+/**
+ * 判断是否为需要展开的普通对象
+ * @param {*} value - 参数值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 将参数对象展开为键值对列表，嵌套对象展开为 filter[status]=x 的形式
+ * @param {Object} params - 参数对象
+ * @param {Object} options - 归一化后的序列化选项
+ * @param {string} prefix - 父级参数名
+ * @returns {Array<Array<string>>} 键值对列表
+ */
+function flattenParams(params, options, prefix = '') {
+  const pairs = [];
+  const format = (value) => (value instanceof Date ? options.serializeDate(value) : String(value));
+
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item !== null && item !== undefined);
+      if (options.arrayFormat === ARRAY_FORMAT.COMMA) {
+        if (items.length > 0) {
+          pairs.push([name, items.map(format).join(',')]);
+        }
+        return;
+      }
+      items.forEach((item, index) => {
+        if (isPlainObject(item)) {
+          pairs.push(...flattenParams(item, options, `${name}[${index}]`));
+        } else {
+          pairs.push([options.arrayFormat === ARRAY_FORMAT.BRACKETS ? `${name}[]` : name, format(item)]);
+        }
+      });
+    } else if (isPlainObject(value)) {
+      pairs.push(...flattenParams(value, options, name));
+    } else {
+      pairs.push([name, format(value)]);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * 序列化查询参数
+ * @param {Object|URLSearchParams} params - 查询参数
+ * @param {Function|Object} paramsSerializer - 自定义序列化函数 (params) => string，或序列化选项
+ * @param {string} paramsSerializer.arrayFormat - 数组格式，见ARRAY_FORMAT，默认brackets
+ * @param {Function} paramsSerializer.serializeDate - 日期格式化函数，默认转换为ISO字符串
+ * @returns {string} 查询字符串（不含?）
+ */
+export function serializeParams(params, paramsSerializer = {}) {
+  if (!params) {
+    return '';
+  }
+  if (typeof paramsSerializer === 'function') {
+    return paramsSerializer(params) || '';
+  }
+  if (typeof URLSearchParams !== 'undefined' && params instanceof URLSearchParams) {
+    return params.toString();
+  }
+
+  const options = {
+    arrayFormat: paramsSerializer.arrayFormat || ARRAY_FORMAT.BRACKETS,
+    serializeDate: paramsSerializer.serializeDate || (date => date.toISOString())
+  };
+  return flattenParams(params, options)
+    .map(([key, value]) => `${encode(key)}=${encode(value)}`)
+    .join('&');
+}
+
+/**
+ * 将查询参数拼接到URL，去掉URL中的hash
+ * @param {string} url - 请求URL
+ * @param {Object|URLSearchParams} params - 查询参数
+ * @param {Function|Object} paramsSerializer - 同serializeParams
+ * @returns {string} 完整URL
+ */
+export function buildURL(url, params, paramsSerializer) {
+  const queryString = serializeParams(params, paramsSerializer);
+  if (!queryString) {
+    return url;
+  }
+
+  const hashIndex = url.indexOf('#');
+  const baseURL = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  return baseURL + (baseURL.includes('?') ? '&' : '?') + queryString;
+}
+
+/**
+ * 生成规范化的请求URL：拼接查询参数后按参数名排序（同名参数保持原有顺序），
+ * 参数顺序不同的相同请求得到相同的URL，用于生成缓存键和幂等键
+ * @param {Object} config - 请求配置
+ * @returns {string} 规范化URL
+ */
+export function normalizeURL(config) {
+  const url = buildURL(config.url || '', config.params, config.paramsSerializer).split('#')[0];
+  const queryIndex = url.indexOf('?');
+  if (queryIndex === -1) {
+    return url;
+  }
+
+  const nameOf = (pair) => pair.split('=')[0];
+  const query = url
+    .slice(queryIndex + 1)
+    .split('&')
+    .filter(Boolean)
+    .sort((a, b) => (nameOf(a) < nameOf(b) ? -1 : nameOf(a) > nameOf(b) ? 1 : 0))
+    .join('&');
+  return query ? `${url.slice(0, queryIndex)}?${query}` : url.slice(0, queryIndex);
+}
@@ -0,0 +1,49 @@
+/**
+ * 路径模式匹配
+ * 支持 /api/articles/:id 形式的路径参数，供缓存失效规则等功能使用
+ */
+
+/**
+ * 将路径模式转换为正则，如 /api/articles/:id
+ * @param {string} pattern - 路径模式
+ * @returns {Object} 正则和参数名列表
+ */
+export function compilePathPattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  
+  // 允许URL带有协议和域名，忽略末尾斜杠
+  return {
+    regexp: new RegExp(`^(?:[a-z][a-z0-9+.-]*://[^/]+)?${source}/?$`, 'i'),
+    names
+  };
+}
+
+/**
+ * 匹配URL路径
+ * @param {string} pattern - 路径模式，如 /api/articles/:id
+ * @param {string} url - 请求URL，可包含查询参数
+ * @returns {Object|null} 匹配成功时返回路径参数，否则返回null
+ */
+export function matchPath(pattern, url) {
+  const { regexp, names } = compilePathPattern(pattern);
+  const match = regexp.exec(url.split(/[?#]/)[0]);
+  if (!match) {
+    return null;
+  }
+  
+  const params = {};
+  names.forEach((name, index) => {
+    params[name] = decodeURIComponent(match[index + 1]);
+  });
+  return params;
+}
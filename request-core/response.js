@@ -0,0 +1,67 @@
+/**
+ * 响应类型处理
+ * fetch和axios实现共用，保证两种实现对responseType的处理结果一致
+ */
+
+import { RequestError } from './errors.js';
+
+// 响应类型定义
+export const RESPONSE_TYPE = {
+  JSON: 'json',
+  TEXT: 'text',
+  BLOB: 'blob',
+  ARRAYBUFFER: 'arraybuffer',
+  STREAM: 'stream',
+  AUTO: 'auto'
+};
+
+/**
+ * 根据Content-Type推断响应类型，供auto模式使用
+ * @param {string} contentType - 响应的Content-Type
+ * @returns {string} json、text或blob
+ */
+export function detectResponseType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type) {
+    return RESPONSE_TYPE.TEXT;
+  }
+  if (type === 'application/json' || type.endsWith('+json')) {
+    return RESPONSE_TYPE.JSON;
+  }
+  if (
+    type.startsWith('text/') ||
+    type.endsWith('+xml') ||
+    ['application/xml', 'application/javascript', 'application/x-www-form-urlencoded'].includes(type)
+  ) {
+    return RESPONSE_TYPE.TEXT;
+  }
+  return RESPONSE_TYPE.BLOB;
+}
+
+/**
+ * 依次执行transformResponse，与axios的签名一致：(data, headers, status) => data
+ * @param {Function|Function[]} transforms - 转换函数
+ * @param {*} data - 响应数据
+ * @param {Object} context - 执行上下文
+ * @param {Object} context.config - 请求配置，作为转换函数的this
+ * @param {Object} context.headers - 响应头
+ * @param {number} context.status - HTTP状态码
+ * @returns {*} 转换后的数据
+ * @throws {RequestError} 转换函数抛出的错误会包装为RequestError
+ */
+export function applyTransforms(transforms, data, { config, headers, status }) {
+  if (!transforms) {
+    return data;
+  }
+  try {
+    return [].concat(transforms).reduce(
+      (result, transform) => transform.call(config, result, headers, status),
+      data
+    );
+  } catch (error) {
+    if (error instanceof RequestError) {
+      throw error;
+    }
+    throw new RequestError(error.message, { config, cause: error });
+  }
+}
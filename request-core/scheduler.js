@@ -0,0 +1,319 @@
+/**
+ * 请求调度器
+ * 按优先级排队发送请求，支持全局、按域名和按路由的并发限制、队列长度限制、限流，以及暂停、恢复和等待队列清空
+ */
+
+import { QueueFullError } from './errors.js';
+import { createAbortError } from './cancel.js';
+import { matchPath } from './path.js';
+import { LIFECYCLE_EVENT, emitEvent } from './events.js';
+
+// 请求优先级，数值越大越先发送，也可以直接使用任意数字
+export const PRIORITY = {
+  HIGH: 10,
+  NORMAL: 0,
+  LOW: -10
+};
+
+/**
+ * 获取URL的域名，相对路径使用基础URL的域名，基础URL也是相对路径时返回空字符串（与当前页面同域）
+ * @param {string} url - 请求URL
+ * @param {string} baseURL - 基础URL
+ * @returns {string} 域名（含端口）
+ */
+function getHost(url, baseURL) {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url || '');
+  if (match) {
+    return match[1].toLowerCase();
+  }
+  return baseURL ? getHost(baseURL) : '';
+}
+
+/**
+ * 创建请求调度器
+ * 返回的调度器本身是一个功能层，可以直接用于compose，同一个调度器被多处组合时共享队列和限制
+ * @param {Object} options - 配置选项
+ * @param {number} options.maxConcurrent - 最大并发数，默认4个
+ * @param {number} options.maxPerHost - 每个域名的最大并发数，默认不限制
+ * @param {string|Function} options.baseURL - 相对路径请求所属的基础URL，或返回基础URL的函数，用于按域名限制并发；
+ *   调度器位于客户端拼接baseURL之前，客户端的共享调度器和createParallelRequestor默认使用客户端的baseURL
+ * @param {Array<Object>} options.routes - 按路由的并发限制，如 [{ url: '/api/search', method: 'get', maxConcurrent: 1 }]
+ * @param {number} options.maxQueueSize - 等待队列的最大长度，超出时以QueueFullError拒绝新请求，默认不限制
+ * @param {Object} options.rateLimit - 限流，如 { limit: 10, interval: 1000 } 表示每秒最多发出10个请求
+ * @returns {Function} 功能层，同时提供configure、pause、resume、drain、clear和stats方法
+ */
+export function createScheduler(options = {}) {
+  // 调度配置，可以通过configure修改
+  const settings = {
+    maxConcurrent: 4,
+    maxPerHost: Infinity,
+    baseURL: '',
+    routes: [],
+    maxQueueSize: Infinity,
+    rateLimit: null
+  };
+
+  // 等待队列，按优先级从高到低排列，同优先级先进先出
+  const queue = [];
+  const runningByHost = new Map();
+  const runningByRoute = new Map();
+  let runningCount = 0;
+  let paused = false;
+
+  // 限流窗口内已发出请求的时间
+  const startTimes = [];
+  let rateTimer = null;
+
+  // 等待队列清空的回调
+  let idleResolvers = [];
+
+  function increase(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+  }
+
+  function decrease(map, key) {
+    const count = map.get(key) - 1;
+    if (count > 0) {
+      map.set(key, count);
+    } else {
+      map.delete(key);
+    }
+  }
+
+  /**
+   * 查找请求匹配的路由限制
+   * @param {Object} config - 请求配置
+   * @returns {Array<number>} 匹配的路由在routes中的下标
+   */
+  function matchRoutes(config) {
+    const method = (config.method || 'get').toLowerCase();
+    return settings.routes.reduce((matched, route, index) => {
+      const methods = route.method ? [].concat(route.method).map(item => item.toLowerCase()) : null;
+      if ((!methods || methods.includes(method)) && matchPath(route.url, config.url || '')) {
+        matched.push(index);
+      }
+      return matched;
+    }, []);
+  }
+
+  /**
+   * 判断请求是否可以在当前的并发限制下发送
+   * @param {Object} item - 队列项
+   * @returns {boolean} 是否可以发送
+   */
+  function canStart(item) {
+    if ((runningByHost.get(item.host) || 0) >= settings.maxPerHost) {
+      return false;
+    }
+    return item.routes.every(index => (runningByRoute.get(index) || 0) < settings.routes[index].maxConcurrent);
+  }
+
+  /**
+   * 检查限流，返回需要等待的时间
+   * @returns {number} 需要等待的毫秒数，0表示可以立即发送
+   */
+  function getRateLimitDelay() {
+    const { rateLimit } = settings;
+    if (!rateLimit) {
+      return 0;
+    }
+    const now = Date.now();
+    while (startTimes.length > 0 && now - startTimes[0] >= rateLimit.interval) {
+      startTimes.shift();
+    }
+    return startTimes.length < rateLimit.limit ? 0 : startTimes[0] + rateLimit.interval - now;
+  }
+
+  function notifyIdle() {
+    if (queue.length === 0 && runningCount === 0 && idleResolvers.length > 0) {
+      idleResolvers.forEach(resolve => resolve());
+      idleResolvers = [];
+    }
+  }
+
+  function start(item) {
+    runningCount++;
+    increase(runningByHost, item.host);
+    item.routes.forEach(index => increase(runningByRoute, index));
+    if (settings.rateLimit) {
+      startTimes.push(Date.now());
+    }
+
+    const { next, config, resolve, reject, onAbort } = item;
+    if (onAbort) {
+      config.signal.removeEventListener('abort', onAbort);
+    }
+
+    Promise.resolve()
+      .then(() => next(config))
+      .then(resolve)
+      .catch(reject)
+      .finally(() => {
+        runningCount--;
+        decrease(runningByHost, item.host);
+        item.routes.forEach(index => decrease(runningByRoute, index));
+        processQueue();
+        notifyIdle();
+      });
+  }
+
+  // 处理队列：按优先级依次发送可以发送的请求，受限于域名或路由并发的请求不阻塞其他请求
+  function processQueue() {
+    if (paused) {
+      return;
+    }
+
+    let index = 0;
+    while (index < queue.length && runningCount < settings.maxConcurrent) {
+      const delay = getRateLimitDelay();
+      if (delay > 0) {
+        if (!rateTimer) {
+          rateTimer = setTimeout(() => {
+            rateTimer = null;
+            processQueue();
+          }, delay);
+        }
+        return;
+      }
+
+      const item = queue[index];
+      if (canStart(item)) {
+        queue.splice(index, 1);
+        start(item);
+      } else {
+        index++;
+      }
+    }
+  }
+
+  /**
+   * 按优先级插入队列
+   * @param {Object} item - 队列项
+   */
+  function enqueue(item) {
+    const index = queue.findIndex(queued => queued.priority < item.priority);
+    if (index === -1) {
+      queue.push(item);
+    } else {
+      queue.splice(index, 0, item);
+    }
+  }
+
+  const scheduler = (next) => function(config) {
+    return new Promise((resolve, reject) => {
+      const { signal } = config;
+      if (signal && signal.aborted) {
+        reject(createAbortError(signal.reason));
+        return;
+      }
+
+      const { maxQueueSize } = settings;
+      if (queue.length >= maxQueueSize) {
+        reject(new QueueFullError(`Request queue is full (max ${maxQueueSize})`, { config, maxQueueSize }));
+        return;
+      }
+
+      const item = {
+        next,
+        config,
+        resolve,
+        reject,
+        priority: typeof config.priority === 'number' ? config.priority : PRIORITY.NORMAL,
+        host: getHost(config.url, typeof settings.baseURL === 'function' ? settings.baseURL() : settings.baseURL),
+        routes: matchRoutes(config)
+      };
+
+      // 排队期间被取消时移出队列
+      if (signal) {
+        item.onAbort = () => {
+          const index = queue.indexOf(item);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(createAbortError(signal.reason));
+            notifyIdle();
+          }
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      enqueue(item);
+      emitEvent(config, LIFECYCLE_EVENT.QUEUE_ENQUEUE, {
+        config,
+        priority: item.priority,
+        queueLength: queue.length,
+        runningCount
+      });
+      processQueue();
+    });
+  };
+
+  /**
+   * 修改调度配置，选项同createScheduler，未传入的选项保持不变
+   * 路由限制按routes中的下标统计，修改routes应在没有进行中的请求时进行
+   * @param {Object} newOptions - 调度配置
+   */
+  scheduler.configure = function(newOptions = {}) {
+    Object.keys(settings).forEach(key => {
+      if (newOptions[key] !== undefined) {
+        settings[key] = newOptions[key];
+      }
+    });
+    processQueue();
+  };
+
+  /**
+   * 暂停发送排队中的请求，已发出的请求不受影响
+   */
+  scheduler.pause = function() {
+    paused = true;
+  };
+
+  /**
+   * 恢复发送排队中的请求
+   */
+  scheduler.resume = function() {
+    paused = false;
+    processQueue();
+  };
+
+  /**
+   * 等待队列中和进行中的请求全部完成
+   * @returns {Promise} 队列清空时完成
+   */
+  scheduler.drain = function() {
+    return new Promise((resolve) => {
+      idleResolvers.push(resolve);
+      notifyIdle();
+    });
+  };
+
+  /**
+   * 取消所有排队中的请求，已发出的请求不受影响
+   * @param {*} reason - 取消原因
+   */
+  scheduler.clear = function(reason = 'Request queue cleared') {
+    queue.splice(0).forEach(item => {
+      if (item.onAbort) {
+        item.config.signal.removeEventListener('abort', item.onAbort);
+      }
+      item.reject(createAbortError(reason));
+    });
+    notifyIdle();
+  };
+
+  /**
+   * 获取调度器状态
+   * @returns {Object} 排队数、进行中数量和是否暂停
+   */
+  scheduler.stats = function() {
+    return {
+      queued: queue.length,
+      running: runningCount,
+      paused
+    };
+  };
+
+  scheduler.configure(options);
+
+  return scheduler;
+}
@@ -0,0 +1,626 @@
+/**
+ * 响应数据校验
+ * 接口声明响应数据的结构，请求成功后校验response.data，提前发现后端接口契约的变化；
+ * 校验时可以将字符串形式的数字、日期等转换为对应类型。
+ * 结构可以使用内置的轻量校验器（schema）描述，也可以通过fromJSONSchema、fromAjv适配JSON Schema
+ */
+
+import { ValidationError } from './errors.js';
+import { LIFECYCLE_EVENT, emitEvent } from './events.js';
+
+// 校验模式
+export const VALIDATION_MODE = {
+  ERROR: 'error',  // 校验失败时抛出ValidationError
+  WARN: 'warn',    // 校验失败时打印警告并返回数据，适合开发环境逐步接入
+  OFF: 'off'       // 不校验
+};
+
+// 默认校验选项
+const DEFAULT_VALIDATION_OPTIONS = {
+  mode: VALIDATION_MODE.ERROR,
+  coerce: true
+};
+
+// 错误信息中最多列出的问题数
+const MAX_ISSUES_IN_MESSAGE = 3;
+
+/**
+ * 描述值的类型，用于校验问题
+ * @param {*} value - 值
+ * @returns {string} 类型描述
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? 'invalid date' : 'date';
+  }
+  if (typeof value === 'number' && Number.isNaN(value)) {
+    return 'NaN';
+  }
+  return typeof value;
+}
+
+/**
+ * 拼接对象属性路径，如 $.items[0].title
+ * @param {string} path - 父路径
+ * @param {string|number} key - 属性名或数组下标
+ * @returns {string} 属性路径
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * 记录校验问题
+ * @param {Object} context - 校验上下文
+ * @param {string} path - 属性路径
+ * @param {string} expected - 期望的类型或约束
+ * @param {*} value - 实际值
+ * @param {string} message - 问题描述，默认根据期望和实际类型生成
+ * @returns {*} 原值，便于在check中直接返回
+ */
+function addIssue(context, path, expected, value, message) {
+  const received = describeValue(value);
+  context.issues.push({
+    path,
+    expected,
+    received,
+    message: message || `expected ${expected}, received ${received}`
+  });
+  return value;
+}
+
+/**
+ * 创建校验器
+ * 校验器通过check(value, path, context)校验并返回（可能经过类型转换的）值，问题记录到context.issues
+ * @param {string} type - 类型描述，用于错误信息
+ * @param {Function} check - 校验函数 (value, path, context) => 值
+ * @returns {Object} 校验器
+ */
+function createValidator(type, check) {
+  const validator = {
+    type,
+    check,
+
+    /**
+     * 允许值为undefined（对象中可以缺少该属性）
+     * @returns {Object} 新的校验器
+     */
+    optional: function() {
+      return createValidator(`${type} | undefined`, (value, path, context) => (
+        value === undefined ? value : check(value, path, context)
+      ));
+    },
+
+    /**
+     * 允许值为null
+     * @returns {Object} 新的校验器
+     */
+    nullable: function() {
+      return createValidator(`${type} | null`, (value, path, context) => (
+        value === null ? value : check(value, path, context)
+      ));
+    },
+
+    /**
+     * 附加自定义校验
+     * @param {Function} predicate - (value) => boolean
+     * @param {string} message - 不满足时的问题描述
+     * @returns {Object} 新的校验器
+     */
+    refine: function(predicate, message = 'failed custom validation') {
+      return createValidator(type, (value, path, context) => {
+        const count = context.issues.length;
+        const result = check(value, path, context);
+        if (context.issues.length === count && !predicate(result)) {
+          addIssue(context, path, type, result, message);
+        }
+        return result;
+      });
+    }
+  };
+  return validator;
+}
+
+/**
+ * 将字符串转换为数字，不是有效数字时返回原值
+ * @param {*} value - 值
+ * @returns {*} 转换后的值
+ */
+function coerceNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  return value;
+}
+
+/**
+ * 检查数字范围
+ * @param {number} value - 数字
+ * @param {Object} options - { min, max }
+ * @param {string} path - 属性路径
+ * @param {Object} context - 校验上下文
+ */
+function checkRange(value, options, path, context) {
+  if (options.min !== undefined && value < options.min) {
+    addIssue(context, path, `>= ${options.min}`, value, `expected >= ${options.min}, received ${value}`);
+  }
+  if (options.max !== undefined && value > options.max) {
+    addIssue(context, path, `<= ${options.max}`, value, `expected <= ${options.max}, received ${value}`);
+  }
+}
+
+/**
+ * 按顺序尝试多个校验器，返回第一个通过的结果
+ * @param {Array<Object>} validators - 校验器列表
+ * @param {*} value - 值
+ * @param {string} path - 属性路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object} { matched, value }
+ */
+function matchAny(validators, value, path, context) {
+  for (const validator of validators) {
+    const attempt = { ...context, issues: [] };
+    const result = validator.check(value, path, attempt);
+    if (attempt.issues.length === 0) {
+      return { matched: true, value: result };
+    }
+  }
+  return { matched: false, value };
+}
+
+/**
+ * 内置校验器
+ * 如 schema.object({ id: schema.number(), title: schema.string(), publishedAt: schema.date().optional() })
+ */
+export const schema = {
+  /**
+   * 任意值
+   * @returns {Object} 校验器
+   */
+  any: function() {
+    return createValidator('any', value => value);
+  },
+
+  /**
+   * 字符串
+   * @param {Object} options - { minLength, maxLength, pattern }
+   * @returns {Object} 校验器
+   */
+  string: function(options = {}) {
+    return createValidator('string', (value, path, context) => {
+      if (typeof value !== 'string') {
+        return addIssue(context, path, 'string', value);
+      }
+      if (options.minLength !== undefined && value.length < options.minLength) {
+        addIssue(context, path, `length >= ${options.minLength}`, value, `expected length >= ${options.minLength}, received ${value.length}`);
+      }
+      if (options.maxLength !== undefined && value.length > options.maxLength) {
+        addIssue(context, path, `length <= ${options.maxLength}`, value, `expected length <= ${options.maxLength}, received ${value.length}`);
+      }
+      if (options.pattern && !new RegExp(options.pattern).test(value)) {
+        addIssue(context, path, `match ${options.pattern}`, value, `expected to match ${options.pattern}`);
+      }
+      return value;
+    });
+  },
+
+  /**
+   * 数字，开启类型转换时接受数字字符串
+   * @param {Object} options - { min, max }
+   * @returns {Object} 校验器
+   */
+  number: function(options = {}) {
+    return createValidator('number', (value, path, context) => {
+      const number = context.coerce ? coerceNumber(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return addIssue(context, path, 'number', value);
+      }
+      checkRange(number, options, path, context);
+      return number;
+    });
+  },
+
+  /**
+   * 整数，开启类型转换时接受整数字符串
+   * @param {Object} options - { min, max }
+   * @returns {Object} 校验器
+   */
+  integer: function(options = {}) {
+    return createValidator('integer', (value, path, context) => {
+      const number = context.coerce ? coerceNumber(value) : value;
+      if (!Number.isInteger(number)) {
+        return addIssue(context, path, 'integer', value);
+      }
+      checkRange(number, options, path, context);
+      return number;
+    });
+  },
+
+  /**
+   * 布尔值，开启类型转换时接受 'true'、'false'
+   * @returns {Object} 校验器
+   */
+  boolean: function() {
+    return createValidator('boolean', (value, path, context) => {
+      if (context.coerce && (value === 'true' || value === 'false')) {
+        return value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        return addIssue(context, path, 'boolean', value);
+      }
+      return value;
+    });
+  },
+
+  /**
+   * 日期，接受Date、日期字符串和时间戳；开启类型转换时转换为Date，否则保留原值
+   * @returns {Object} 校验器
+   */
+  date: function() {
+    return createValidator('date', (value, path, context) => {
+      const isDateLike = value instanceof Date || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+      const date = isDateLike ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return addIssue(context, path, 'date', value);
+      }
+      return context.coerce ? date : value;
+    });
+  },
+
+  /**
+   * 枚举值之一
+   * @param {Array} values - 允许的值
+   * @returns {Object} 校验器
+   */
+  enum: function(values) {
+    const expected = values.map(value => JSON.stringify(value)).join(' | ');
+    return createValidator(expected, (value, path, context) => (
+      values.includes(value) ? value : addIssue(context, path, expected, value, `expected ${expected}, received ${JSON.stringify(value)}`)
+    ));
+  },
+
+  /**
+   * 数组
+   * @param {Object} item - 数组元素的校验器
+   * @param {Object} options - { minItems, maxItems }
+   * @returns {Object} 校验器
+   */
+  array: function(item = schema.any(), options = {}) {
+    return createValidator(`${item.type}[]`, (value, path, context) => {
+      if (!Array.isArray(value)) {
+        return addIssue(context, path, 'array', value);
+      }
+      if (options.minItems !== undefined && value.length < options.minItems) {
+        addIssue(context, path, `items >= ${options.minItems}`, value, `expected at least ${options.minItems} items, received ${value.length}`);
+      }
+      if (options.maxItems !== undefined && value.length > options.maxItems) {
+        addIssue(context, path, `items <= ${options.maxItems}`, value, `expected at most ${options.maxItems} items, received ${value.length}`);
+      }
+      return value.map((element, index) => item.check(element, joinPath(path, index), context));
+    });
+  },
+
+  /**
+   * 对象
+   * @param {Object<string, Object>} shape - 以属性名为键的校验器，可以缺少的属性使用optional()
+   * @param {Object} options - 选项
+   * @param {string} options.unknown - 未声明的属性：'keep'（默认，保留）、'strip'（去掉）、'error'（记录问题）
+   * @returns {Object} 校验器
+   */
+  object: function(shape = {}, options = {}) {
+    const { unknown = 'keep' } = options;
+    const keys = Object.keys(shape);
+    return createValidator('object', (value, path, context) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return addIssue(context, path, 'object', value);
+      }
+      // 返回新对象，不修改原始响应数据（可能来自缓存）
+      const result = unknown === 'strip' ? {} : { ...value };
+      keys.forEach(key => {
+        const checked = shape[key].check(value[key], joinPath(path, key), context);
+        if (checked !== undefined || key in value) {
+          result[key] = checked;
+        }
+      });
+      if (unknown === 'error') {
+        Object.keys(value)
+          .filter(key => !keys.includes(key))
+          .forEach(key => addIssue(context, joinPath(path, key), 'no property', value[key], 'unexpected property'));
+      }
+      return result;
+    });
+  },
+
+  /**
+   * 键为字符串、值结构相同的对象
+   * @param {Object} item - 值的校验器
+   * @returns {Object} 校验器
+   */
+  record: function(item = schema.any()) {
+    return createValidator(`Record<string, ${item.type}>`, (value, path, context) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return addIssue(context, path, 'object', value);
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, element]) => [key, item.check(element, joinPath(path, key), context)])
+      );
+    });
+  },
+
+  /**
+   * 满足其中一个校验器，按顺序使用第一个通过的结果
+   * @param {...Object} validators - 校验器
+   * @returns {Object} 校验器
+   */
+  union: function(...validators) {
+    const expected = validators.map(validator => validator.type).join(' | ');
+    return createValidator(expected, (value, path, context) => {
+      const { matched, value: result } = matchAny(validators, value, path, context);
+      return matched ? result : addIssue(context, path, expected, value);
+    });
+  },
+
+  /**
+   * 延迟创建校验器，用于描述递归结构
+   * @param {Function} getValidator - () => 校验器
+   * @returns {Object} 校验器
+   */
+  lazy: function(getValidator) {
+    let validator = null;
+    return createValidator('lazy', (value, path, context) => {
+      validator = validator || getValidator();
+      return validator.check(value, path, context);
+    });
+  }
+};
+
+/**
+ * 校验数据
+ * @param {Object} validator - 校验器
+ * @param {*} value - 要校验的数据
+ * @param {Object} options - 选项
+ * @param {boolean} options.coerce - 是否转换数字、布尔值和日期，默认true
+ * @returns {Object} { valid, value, issues }，value为转换后的数据
+ */
+export function validateSchema(validator, value, options = {}) {
+  const { coerce = true } = options;
+  const context = { coerce, issues: [] };
+  const result = toValidator(validator).check(value, '$', context);
+  return {
+    valid: context.issues.length === 0,
+    value: result,
+    issues: context.issues
+  };
+}
+
+/**
+ * 合并allOf的校验结果：都是对象时合并属性，否则使用最后一个结果
+ * @param {Array<Object>} validators - 校验器列表
+ * @returns {Object} 校验器
+ */
+function allOf(validators) {
+  return createValidator(validators.map(validator => validator.type).join(' & '), (value, path, context) => {
+    const results = validators.map(validator => validator.check(value, path, context));
+    const isObject = item => item && typeof item === 'object' && !Array.isArray(item) && !(item instanceof Date);
+    return results.every(isObject) ? Object.assign({}, ...results) : results[results.length - 1];
+  });
+}
+
+/**
+ * 将JSON Schema转换为内置校验器
+ * 支持type、properties、required、additionalProperties、items、enum、const、oneOf、anyOf、allOf、nullable、
+ * 文档内的$ref，以及常用的长度、范围和pattern约束；format为date、date-time的字符串按日期校验和转换
+ * @param {Object} jsonSchema - JSON Schema（或OpenAPI中的Schema对象）
+ * @param {Object} options - 选项
+ * @param {Object} options.root - 解析$ref的根文档，如完整的OpenAPI规范，默认为jsonSchema本身
+ * @returns {Object} 校验器
+ */
+export function fromJSONSchema(jsonSchema, options = {}) {
+  const { root = jsonSchema } = options;
+  const refs = new Map();
+
+  const resolveRef = (ref) => {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Unsupported reference: ${ref}`);
+    }
+    const target = ref
+      .slice(1)
+      .split('/')
+      .filter(Boolean)
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node ? node[part] : undefined), root);
+    if (target === undefined) {
+      throw new Error(`Reference not found: ${ref}`);
+    }
+    return target;
+  };
+
+  const convertType = (definition, type) => {
+    switch (type) {
+      case 'string':
+        if (definition.format === 'date' || definition.format === 'date-time') {
+          return schema.date();
+        }
+        return schema.string({
+          minLength: definition.minLength,
+          maxLength: definition.maxLength,
+          pattern: definition.pattern
+        });
+      case 'number':
+      case 'integer':
+        return schema[type]({ min: definition.minimum, max: definition.maximum });
+      case 'boolean':
+        return schema.boolean();
+      case 'null':
+        return schema.enum([null]);
+      case 'array':
+        return schema.array(definition.items ? convert(definition.items) : schema.any(), {
+          minItems: definition.minItems,
+          maxItems: definition.maxItems
+        });
+      case 'object': {
+        const required = definition.required || [];
+        const properties = definition.properties || {};
+        const { additionalProperties } = definition;
+        if (Object.keys(properties).length === 0 && additionalProperties && typeof additionalProperties === 'object') {
+          return schema.record(convert(additionalProperties));
+        }
+        const shape = Object.fromEntries(Object.entries(properties).map(([key, property]) => {
+          const validator = convert(property);
+          return [key, required.includes(key) ? validator : validator.optional()];
+        }));
+        return schema.object(shape, { unknown: additionalProperties === false ? 'error' : 'keep' });
+      }
+      default:
+        return schema.any();
+    }
+  };
+
+  const convert = (definition) => {
+    if (!definition || typeof definition !== 'object') {
+      return schema.any();
+    }
+    if (definition.$ref) {
+      // 同一个引用只转换一次，递归引用通过lazy延迟解析
+      if (!refs.has(definition.$ref)) {
+        refs.set(definition.$ref, schema.lazy(() => convert(resolveRef(definition.$ref))));
+      }
+      return refs.get(definition.$ref);
+    }
+
+    let validator;
+    if (definition.enum) {
+      validator = schema.enum(definition.enum);
+    } else if ('const' in definition) {
+      validator = schema.enum([definition.const]);
+    } else if (definition.oneOf || definition.anyOf) {
+      validator = schema.union(...(definition.oneOf || definition.anyOf).map(convert));
+    } else if (definition.allOf) {
+      validator = allOf(definition.allOf.map(convert));
+    } else {
+      // OpenAPI 3.1中type可以是数组，如 ['string', 'null']
+      const types = [].concat(definition.type || (definition.properties ? 'object' : []));
+      validator = types.length === 0
+        ? schema.any()
+        : types.length === 1
+          ? convertType(definition, types[0])
+          : schema.union(...types.map(type => convertType(definition, type)));
+    }
+    return definition.nullable ? validator.nullable() : validator;
+  };
+
+  return convert(jsonSchema);
+}
+
+/**
+ * 将JSON Pointer形式的路径转换为属性路径，如 /items/0/title 转换为 $.items[0].title
+ * @param {string} pointer - JSON Pointer
+ * @param {*} data - 校验的数据，用于区分数组下标和属性名
+ * @returns {Object} { path, value }
+ */
+function fromPointer(pointer, data) {
+  let path = '$';
+  let value = data;
+  String(pointer || '')
+    .split('/')
+    .filter(Boolean)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .forEach(part => {
+      const key = Array.isArray(value) && /^\d+$/.test(part) ? Number(part) : part;
+      path = joinPath(path, key);
+      value = value && typeof value === 'object' ? value[key] : undefined;
+    });
+  return { path, value };
+}
+
+/**
+ * 适配Ajv等JSON Schema校验库编译的校验函数
+ * 校验函数返回是否通过，并在errors属性上提供 { instancePath, keyword, message, params } 形式的错误；
+ * 类型转换由校验库自身完成（如Ajv的coerceTypes选项）
+ * @param {Function} validate - 编译后的校验函数，如 ajv.compile(jsonSchema)
+ * @returns {Object} 校验器
+ */
+export function fromAjv(validate) {
+  return createValidator('json-schema', (value, path, context) => {
+    if (!validate(value)) {
+      (validate.errors || []).forEach(error => {
+        const target = fromPointer(error.instancePath || error.dataPath, value);
+        const expected = (error.params && error.params.type) || error.keyword;
+        addIssue(context, target.path, String(expected), target.value, error.message);
+      });
+      if (!validate.errors || validate.errors.length === 0) {
+        addIssue(context, path, 'valid value', value, 'failed schema validation');
+      }
+    }
+    return value;
+  });
+}
+
+/**
+ * 将接口声明的结构转换为校验器：内置校验器和适配器原样返回，普通对象按JSON Schema转换
+ * @param {Object} definition - 校验器或JSON Schema
+ * @returns {Object} 校验器
+ */
+export function toValidator(definition) {
+  return definition && typeof definition.check === 'function' ? definition : fromJSONSchema(definition);
+}
+
+/**
+ * 生成校验错误信息
+ * @param {Object} config - 请求配置
+ * @param {Array<Object>} issues - 校验问题
+ * @returns {string} 错误信息
+ */
+function formatValidationMessage(config, issues) {
+  const details = issues
+    .slice(0, MAX_ISSUES_IN_MESSAGE)
+    .map(issue => `${issue.path}: ${issue.message}`)
+    .join('; ');
+  const more = issues.length > MAX_ISSUES_IN_MESSAGE ? ` (and ${issues.length - MAX_ISSUES_IN_MESSAGE} more)` : '';
+  return `Invalid response data for ${String(config.method || 'get').toUpperCase()} ${config.url}: ${details}${more}`;
+}
+
+/**
+ * 创建响应校验功能层
+ * 校验选项依次合并：默认值、resolveOptions()的结果、单次请求配置中的validation
+ * @param {Object} definition - 校验器或JSON Schema
+ * @param {Function} resolveOptions - 返回校验选项的函数，在每次请求时调用
+ * @returns {Function} 功能层
+ */
+export function createValidateLayer(definition, resolveOptions = () => ({})) {
+  const validator = toValidator(definition);
+
+  return (next) => async function(config) {
+    const { validation, ...requestConfig } = config;
+    const options = { ...DEFAULT_VALIDATION_OPTIONS, ...resolveOptions(), ...validation };
+    const response = await next(requestConfig);
+    if (options.mode === VALIDATION_MODE.OFF) {
+      return response;
+    }
+
+    const result = validateSchema(validator, response.data, options);
+    if (!result.valid) {
+      const error = new ValidationError(formatValidationMessage(requestConfig, result.issues), {
+        config: requestConfig,
+        issues: result.issues,
+        response
+      });
+      emitEvent(requestConfig, LIFECYCLE_EVENT.VALIDATION_FAILED, { config: requestConfig, error });
+      if (options.mode !== VALIDATION_MODE.WARN) {
+        throw error;
+      }
+      console.warn(error.message, error.issues);
+    }
+    return { ...response, data: result.value };
+  };
+}
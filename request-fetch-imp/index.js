@@ -2,6 +2,370 @@
  * 基于Fetch API的请求实现
  */
 
+import {
+  RequestError,
+  HttpError,
+  TimeoutError,
+  NetworkError,
+  AbortError,
+  ParseError
+} from '../request-core/errors.js';
+import { RESPONSE_TYPE, detectResponseType, applyTransforms } from '../request-core/response.js';
+import { buildURL } from '../request-core/params.js';
+
+/**
+ * 将fetch的Headers转换为普通对象
+ * @param {Headers} headers - fetch响应头
+ * @returns {Object} 键名小写的响应头对象
+ */
+function parseHeaders(headers) {
+  const result = {};
+  headers.forEach((value, key) => {
+    result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * 读取响应体，能解析为JSON时返回JSON，否则返回原始文本，空响应体返回null
+ * @param {Response} response - fetch响应
+ * @returns {Promise} 响应体
+ */
+async function readErrorBody(response) {
+  try {
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 查找请求头的实际键名（不区分大小写）
+ * @param {Object} headers - 请求头
+ * @param {string} name - 请求头名称
+ * @returns {string|undefined} 实际键名
+ */
+function findHeaderName(headers, name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).find(key => key.toLowerCase() === lowerName);
+}
+
+/**
+ * 判断是否为fetch可以直接发送的请求体类型
+ * @param {*} data - 请求数据
+ * @returns {boolean} 是否为原生请求体
+ */
+function isNativeBody(data) {
+  return typeof data === 'string' ||
+    (typeof FormData !== 'undefined' && data instanceof FormData) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+    (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream) ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data);
+}
+
+/**
+ * 展开对象的字段，字段命名与axios一致：数组为key[]，嵌套对象为key[child]
+ * @param {Object} data - 请求数据
+ * @param {Function} append - 追加字段的回调 (key, value) => void
+ * @param {string} prefix - 父级字段名
+ */
+function forEachField(data, append, prefix = '') {
+  Object.entries(data).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => append(`${name}[]`, item));
+    } else if (value instanceof Date) {
+      append(name, value.toISOString());
+    } else if (typeof value === 'object' && !(typeof Blob !== 'undefined' && value instanceof Blob)) {
+      forEachField(value, append, name);
+    } else {
+      append(name, value);
+    }
+  });
+}
+
+/**
+ * 根据Content-Type序列化请求体，与axios的默认行为保持一致：
+ * FormData、Blob、ArrayBuffer、URLSearchParams、字符串等原生类型直接发送；
+ * 普通对象按Content-Type转换为urlencoded或FormData，默认转换为JSON
+ * @param {*} data - 请求数据
+ * @param {Object} headers - 请求头，会根据请求体调整Content-Type
+ * @returns {*} fetch请求体
+ */
+function serializeBody(data, headers) {
+  const contentTypeName = findHeaderName(headers, 'Content-Type');
+  const contentType = contentTypeName ? String(headers[contentTypeName]).toLowerCase() : '';
+  const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
+
+  // FormData需要由fetch自动生成带boundary的Content-Type
+  if (isFormData || (contentType.includes('multipart/form-data') && !isNativeBody(data))) {
+    if (contentTypeName) {
+      delete headers[contentTypeName];
+    }
+    if (isFormData) {
+      return data;
+    }
+    const formData = new FormData();
+    forEachField(data, (key, value) => formData.append(key, value));
+    return formData;
+  }
+
+  // 字符串默认按文本发送，与浏览器的默认行为一致，使用流式请求体上传时也不会缺少Content-Type
+  if (typeof data === 'string' && !contentTypeName) {
+    headers['Content-Type'] = 'text/plain;charset=UTF-8';
+  }
+
+  if (isNativeBody(data)) {
+    return data;
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const searchParams = new URLSearchParams();
+    forEachField(data, (key, value) => searchParams.append(key, value));
+    return searchParams.toString();
+  }
+
+  if (!contentTypeName) {
+    headers['Content-Type'] = 'application/json';
+  }
+  return JSON.stringify(data);
+}
+
+/**
+ * 按responseType读取非JSON响应体
+ * @param {Response} response - fetch响应
+ * @param {string} type - 响应类型
+ * @returns {Promise} 响应数据
+ */
+function readBody(response, type) {
+  switch (type) {
+    case RESPONSE_TYPE.STREAM:
+      return Promise.resolve(response.body);
+    case RESPONSE_TYPE.BLOB:
+      return response.blob();
+    case RESPONSE_TYPE.ARRAYBUFFER:
+      return response.arrayBuffer();
+    default:
+      return response.text();
+  }
+}
+
+// 上传流每次发送的分块大小
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * 创建进度事件，字段与axios的进度事件一致
+ * @param {number} loaded - 已传输字节数
+ * @param {number} total - 总字节数，未知时为0
+ * @param {string} direction - upload或download
+ * @returns {Object} 进度事件
+ */
+function createProgressEvent(loaded, total, direction) {
+  const lengthComputable = total > 0;
+  return {
+    loaded,
+    total: lengthComputable ? total : undefined,
+    progress: lengthComputable ? Math.min(loaded / total, 1) : undefined,
+    lengthComputable,
+    [direction]: true
+  };
+}
+
+let requestStreamsSupported = null;
+
+/**
+ * 检测当前环境的fetch是否支持以流作为请求体
+ * @returns {boolean} 是否支持
+ */
+function supportsRequestStreams() {
+  if (requestStreamsSupported === null) {
+    try {
+      let duplexAccessed = false;
+      const hasContentType = new Request('http://localhost/', {
+        method: 'POST',
+        body: new ReadableStream(),
+        get duplex() {
+          duplexAccessed = true;
+          return 'half';
+        }
+      }).headers.has('Content-Type');
+      requestStreamsSupported = duplexAccessed && !hasContentType;
+    } catch (error) {
+      requestStreamsSupported = false;
+    }
+  }
+  return requestStreamsSupported;
+}
+
+/**
+ * 将请求体替换为分块发送的流，每发送一块报告一次上传进度
+ * @param {Object} fetchOptions - fetch请求选项
+ * @param {Function} onUploadProgress - 上传进度回调
+ * @returns {Promise} 替换完成
+ */
+async function attachUploadStream(fetchOptions, onUploadProgress) {
+  // 借助Response读取请求体的字节和对应的Content-Type（如FormData的boundary）
+  const source = new Response(fetchOptions.body);
+  const contentType = source.headers.get('content-type');
+  if (contentType && !findHeaderName(fetchOptions.headers, 'Content-Type')) {
+    fetchOptions.headers['Content-Type'] = contentType;
+  }
+  const bytes = new Uint8Array(await source.arrayBuffer());
+
+  let loaded = 0;
+  fetchOptions.body = new ReadableStream({
+    pull(controller) {
+      if (loaded >= bytes.byteLength) {
+        controller.close();
+        return;
+      }
+      const chunk = bytes.subarray(loaded, loaded + UPLOAD_CHUNK_SIZE);
+      loaded += chunk.byteLength;
+      controller.enqueue(chunk);
+      onUploadProgress(createProgressEvent(loaded, bytes.byteLength, 'upload'));
+    }
+  });
+  fetchOptions.duplex = 'half';
+}
+
+/**
+ * 包装响应体，读取时报告下载进度
+ * @param {Response} response - fetch响应
+ * @param {Function} onDownloadProgress - 下载进度回调
+ * @returns {Response} 包装后的响应
+ */
+function trackDownloadProgress(response, onDownloadProgress) {
+  if (!response.body) {
+    return response;
+  }
+
+  // 压缩传输时Content-Length是压缩后的大小，与读取到的字节数不一致，视为总大小未知
+  const total = response.headers.get('content-encoding')
+    ? 0
+    : Number(response.headers.get('content-length')) || 0;
+  const reader = response.body.getReader();
+  let loaded = 0;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+        return;
+      }
+      loaded += value.byteLength;
+      controller.enqueue(value);
+      onDownloadProgress(createProgressEvent(loaded, total, 'download'));
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * 将XHR的原始响应头文本转换为Headers
+ * @param {string} rawHeaders - getAllResponseHeaders的返回值
+ * @returns {Headers} 响应头
+ */
+function parseRawHeaders(rawHeaders) {
+  const headers = new Headers();
+  rawHeaders.trim().split(/[\r\n]+/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    }
+  });
+  return headers;
+}
+
+/**
+ * 使用XMLHttpRequest发送请求并返回fetch的Response，用于浏览器中报告上传进度
+ * 取消、网络错误与fetch的行为一致，后续的响应处理可以复用
+ * @param {string} url - 请求地址
+ * @param {Object} fetchOptions - fetch请求选项
+ * @param {Object} callbacks - 进度回调
+ * @param {Function} callbacks.onUploadProgress - 上传进度回调
+ * @param {Function} callbacks.onDownloadProgress - 下载进度回调
+ * @returns {Promise<Response>} 响应
+ */
+function xhrFetch(url, fetchOptions, { onUploadProgress, onDownloadProgress }) {
+  return new Promise((resolve, reject) => {
+    const { signal } = fetchOptions;
+    const xhr = new XMLHttpRequest();
+
+    const createAbortError = () => {
+      const error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+      return error;
+    };
+    const onAbort = () => xhr.abort();
+    const cleanup = () => signal.removeEventListener('abort', onAbort);
+
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    xhr.open(fetchOptions.method, url, true);
+    xhr.responseType = 'arraybuffer';
+    xhr.withCredentials = fetchOptions.credentials === 'include';
+    Object.entries(fetchOptions.headers).forEach(([key, value]) => {
+      xhr.setRequestHeader(key, value);
+    });
+
+    xhr.upload.onprogress = (event) => {
+      onUploadProgress(createProgressEvent(event.loaded, event.lengthComputable ? event.total : 0, 'upload'));
+    };
+    if (onDownloadProgress) {
+      xhr.onprogress = (event) => {
+        onDownloadProgress(createProgressEvent(event.loaded, event.lengthComputable ? event.total : 0, 'download'));
+      };
+    }
+
+    xhr.onload = () => {
+      cleanup();
+      // 204等状态码的Response不能带有响应体
+      const hasBody = ![204, 205, 304].includes(xhr.status);
+      resolve(new Response(hasBody ? xhr.response : null, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseRawHeaders(xhr.getAllResponseHeaders())
+      }));
+    };
+    xhr.onerror = () => {
+      cleanup();
+      reject(new TypeError('Network Error'));
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    xhr.send(fetchOptions.body);
+  });
+}
+
 /**
  * 请求实现实例
  */
@@ -17,71 +381,159 @@ export const requestor = {
       method = 'get',
       headers = {},
       params = {},
+      paramsSerializer,
       data = null,
-      timeout = 10000
+      timeout = 10000,
+      signal = null,
+      transformRequest = null,
+      responseType,
+      transformResponse = null,
+      onUploadProgress = null,
+      onDownloadProgress = null
     } = config;
 
     // 构建完整URL，包含查询参数
-    let fullUrl = url;
-    if (params && Object.keys(params).length > 0) {
-      const searchParams = new URLSearchParams();
-      Object.entries(params).forEach(([key, value]) => {
-        if (value !== null && value !== undefined) {
-          searchParams.append(key, value);
-        }
-      });
-      const queryString = searchParams.toString();
-      if (queryString) {
-        fullUrl += (fullUrl.includes('?') ? '&' : '?') + queryString;
-      }
-    }
+    const fullUrl = buildURL(url, params, paramsSerializer);
 
     // 构建fetch请求选项
     const fetchOptions = {
       method: method.toUpperCase(),
-      headers: {
-        'Content-Type': 'application/json',
-        ...headers
-      },
+      headers: { ...headers },
       credentials: 'same-origin' // 保持同源凭证
     };
 
-    // 添加请求体
-    if (data && (method.toUpperCase() !== 'GET' && method.toUpperCase() !== 'HEAD')) {
-      fetchOptions.body = JSON.stringify(data);
+    // 添加请求体，先经过transformRequest处理，再按Content-Type序列化
+    let body = data;
+    if (transformRequest) {
+      [].concat(transformRequest).forEach(transform => {
+        body = transform.call(config, body, fetchOptions.headers);
+      });
+    }
+    if (body !== null && body !== undefined && fetchOptions.method !== 'GET' && fetchOptions.method !== 'HEAD') {
+      fetchOptions.body = serializeBody(body, fetchOptions.headers);
     }
 
-    // 处理超时
+    // 处理超时和外部取消信号
     const controller = new AbortController();
-    const signal = controller.signal;
-    fetchOptions.signal = signal;
+    fetchOptions.signal = controller.signal;
+
+    // timeout为0时不限制超时，与axios一致
+    let isTimeout = false;
+    const timeoutId = timeout > 0 ? setTimeout(() => {
+      isTimeout = true;
+      controller.abort();
+    }, timeout) : null;
 
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
 
     try {
-      const response = await fetch(fullUrl, fetchOptions);
+      // 上传进度：浏览器中使用XMLHttpRequest，没有XMLHttpRequest的环境使用流式请求体
+      const trackUpload = onUploadProgress && fetchOptions.body !== undefined;
+      let response;
+      if (trackUpload && typeof XMLHttpRequest !== 'undefined') {
+        response = await xhrFetch(fullUrl, fetchOptions, { onUploadProgress, onDownloadProgress });
+      } else {
+        if (trackUpload && supportsRequestStreams()) {
+          await attachUploadStream(fetchOptions, onUploadProgress);
+        }
+        response = await fetch(fullUrl, fetchOptions);
+        if (onDownloadProgress) {
+          response = trackDownloadProgress(response, onDownloadProgress);
+        }
+      }
       clearTimeout(timeoutId);
 
+      const responseHeaders = parseHeaders(response.headers);
+      const transformContext = { config, headers: responseHeaders, status: response.status };
+
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const body = applyTransforms(transformResponse, await readErrorBody(response), transformContext);
+        throw new HttpError(`Request failed with status code ${response.status}`, {
+          config,
+          status: response.status,
+          statusText: response.statusText,
+          body,
+          headers: responseHeaders,
+          response: {
+            data: body,
+            status: response.status,
+            statusText: response.statusText,
+            headers: responseHeaders,
+            config,
+            request: response
+          }
+        });
+      }
+
+      // 未指定responseType时与axios一致：尽量解析JSON，解析失败返回原始文本；
+      // 明确要求JSON（json或auto推断为json）时解析失败抛出ParseError
+      const type = responseType === RESPONSE_TYPE.AUTO
+        ? detectResponseType(responseHeaders['content-type'])
+        : responseType || RESPONSE_TYPE.JSON;
+      let responseData;
+      if (type === RESPONSE_TYPE.JSON) {
+        const text = await response.text();
+        // 204等空响应体返回null
+        responseData = null;
+        if (text) {
+          try {
+            responseData = JSON.parse(text);
+          } catch (error) {
+            if (!responseType) {
+              responseData = text;
+            } else {
+              throw new ParseError(`Failed to parse response as JSON: ${error.message}`, {
+                config,
+                cause: error,
+                response: {
+                  data: text,
+                  status: response.status,
+                  statusText: response.statusText,
+                  headers: responseHeaders,
+                  config,
+                  request: response
+                }
+              });
+            }
+          }
+        }
+      } else {
+        responseData = await readBody(response, type);
       }
 
       // 模拟axios的响应结构
-      const responseData = await response.json();
       return {
-        data: responseData,
+        data: applyTransforms(transformResponse, responseData, transformContext),
         status: response.status,
         statusText: response.statusText,
-        headers: response.headers,
+        headers: responseHeaders,
         config: config,
         request: response
       };
     } catch (error) {
       clearTimeout(timeoutId);
+      if (error instanceof RequestError) {
+        throw error;
+      }
       if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${timeout}ms`);
+        if (isTimeout) {
+          throw new TimeoutError(`Request timeout after ${timeout}ms`, { config, timeout, cause: error });
+        }
+        const reason = signal ? signal.reason : undefined;
+        throw new AbortError(typeof reason === 'string' ? reason : 'Request aborted', { config, reason, cause: error });
+      }
+      throw new NetworkError(error.message || 'Network Error', { config, cause: error });
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
       }
-      throw error;
     }
   },
 
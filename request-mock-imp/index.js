@@ -0,0 +1,412 @@
+/**
+ * 模拟请求实现
+ * 不发送网络请求，按注册的路由返回模拟响应，用于测试和离线开发
+ * 与fetch、axios实现一样可以通过inject()注入，响应结构和错误类型保持一致
+ */
+
+import {
+  HttpError,
+  TimeoutError,
+  NetworkError,
+  AbortError
+} from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { matchPath } from '../request-core/path.js';
+import { applyTransforms } from '../request-core/response.js';
+
+// 常用HTTP状态文本
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+/**
+ * 复制响应数据，避免测试代码修改响应后影响同一个夹具的后续请求
+ * @param {*} data - 响应数据
+ * @returns {*} 数据副本
+ */
+function cloneData(data) {
+  if (data === null || typeof data !== 'object' || typeof structuredClone !== 'function') {
+    return data;
+  }
+  try {
+    return structuredClone(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+/**
+ * 解析URL中的查询参数并与params合并
+ * @param {string} url - 请求URL
+ * @param {Object} params - 请求配置中的查询参数
+ * @returns {Object} 查询参数
+ */
+function parseQuery(url, params) {
+  const query = {};
+  const queryIndex = url.indexOf('?');
+  if (queryIndex !== -1) {
+    new URLSearchParams(url.slice(queryIndex + 1).split('#')[0]).forEach((value, key) => {
+      query[key] = value;
+    });
+  }
+  return { ...query, ...params };
+}
+
+/**
+ * 创建模拟请求实现
+ * @param {Object} options - 配置选项
+ * @param {number} options.delay - 默认响应延迟（毫秒），默认0
+ * @param {Function} options.onUnhandled - 没有匹配路由时的处理函数 (request) => 响应描述，默认返回404
+ * @returns {Object} 请求实现实例，同时提供注册路由和查询请求历史的方法
+ */
+export function createMockRequestor(options = {}) {
+  const defaultDelay = options.delay || 0;
+  const onUnhandled = options.onUnhandled || (() => ({ status: 404, data: { message: 'Mock route not found' } }));
+
+  // 已注册的路由，后注册的优先匹配
+  let routes = [];
+
+  // 请求历史
+  const history = [];
+
+  /**
+   * 查找匹配的路由
+   * @param {string} method - 请求方法
+   * @param {string} url - 请求URL
+   * @returns {Object|null} 路由和路径参数
+   */
+  function findRoute(method, url) {
+    for (let i = routes.length - 1; i >= 0; i--) {
+      const route = routes[i];
+      if (route.method !== '*' && route.method !== method) {
+        continue;
+      }
+      const params = matchPath(route.url, url);
+      if (params) {
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 等待模拟延迟，超过请求超时时间时抛出超时错误，期间可被取消
+   * @param {number} delay - 延迟（毫秒）
+   * @param {Object} config - 请求配置
+   */
+  async function wait(delay, config) {
+    const timeout = config.timeout || 10000;
+    if (delay > 0) {
+      await sleep(Math.min(delay, timeout), config.signal);
+    }
+    if (delay > timeout) {
+      throw new TimeoutError(`Request timeout after ${timeout}ms`, { config, timeout });
+    }
+  }
+
+  /**
+   * 将响应描述转换为响应对象或错误
+   * @param {Object} spec - 响应描述
+   * @param {Object} config - 请求配置
+   * @returns {Promise<Object>} 响应对象
+   */
+  async function resolveResponse(spec, config) {
+    const {
+      status = 200,
+      data = null,
+      headers = {},
+      delay = defaultDelay,
+      error = null
+    } = spec || {};
+
+    if (error === 'timeout') {
+      await wait(delay, config);
+      const timeout = config.timeout || 10000;
+      throw new TimeoutError(`Request timeout after ${timeout}ms`, { config, timeout });
+    }
+
+    await wait(delay, config);
+
+    if (error === 'network') {
+      throw new NetworkError('Network Error', { config });
+    }
+    if (error === 'abort') {
+      throw new AbortError('Request aborted', { config });
+    }
+
+    const responseHeaders = {};
+    Object.entries(headers).forEach(([key, value]) => {
+      responseHeaders[key.toLowerCase()] = value;
+    });
+    const transformContext = { config, headers: responseHeaders, status };
+    const response = {
+      data: applyTransforms(config.transformResponse, cloneData(data), transformContext),
+      status,
+      statusText: STATUS_TEXT[status] || '',
+      headers: responseHeaders,
+      config,
+      request: null
+    };
+
+    if (status < 200 || status >= 300) {
+      throw new HttpError(`Request failed with status code ${status}`, {
+        config,
+        status,
+        statusText: response.statusText,
+        body: response.data,
+        headers: responseHeaders,
+        response
+      });
+    }
+    return response;
+  }
+
+  const requestor = {
+    /**
+     * 通用请求方法
+     * @param {Object} config - 请求配置
+     * @returns {Promise} 请求结果
+     */
+    request: async function(config) {
+      const { url = '', method = 'get', params = {}, data = null, headers = {}, signal = null } = config;
+      const normalizedMethod = method.toLowerCase();
+
+      const request = {
+        method: normalizedMethod,
+        url,
+        params: {},
+        query: parseQuery(url, params),
+        data,
+        headers,
+        config
+      };
+      const entry = { ...request, timestamp: Date.now(), response: null, error: null };
+      history.push(entry);
+
+      try {
+        if (signal && signal.aborted) {
+          const reason = signal.reason;
+          throw new AbortError(typeof reason === 'string' ? reason : 'Request aborted', { config, reason });
+        }
+
+        const matched = findRoute(normalizedMethod, url);
+        let spec;
+        if (matched) {
+          const { route, params: pathParams } = matched;
+          request.params = pathParams;
+          entry.params = pathParams;
+
+          // 限定次数的路由用完后移除
+          if (route.times !== Infinity && --route.times <= 0) {
+            routes = routes.filter(item => item !== route);
+          }
+          spec = typeof route.handler === 'function' ? await route.handler(request) : route.handler;
+          spec = { delay: route.delay, ...spec };
+        } else {
+          spec = await onUnhandled(request);
+        }
+
+        entry.response = await resolveResponse(spec, config);
+        return entry.response;
+      } catch (error) {
+        // 等待期间被取消时补充请求配置，与其他实现的错误保持一致
+        if (error instanceof AbortError && !error.config) {
+          error.config = config;
+        }
+        entry.error = error;
+        throw error;
+      }
+    },
+
+    /**
+     * 注册路由处理函数
+     * @param {string} method - 请求方法，'*'匹配所有方法
+     * @param {string} url - 路径模式，如 /api/articles/:id
+     * @param {Function|Object} handler - 处理函数 (request) => 响应描述，或固定的响应描述
+     *   响应描述：{ status, data, headers, delay, error }，error可以是'network'、'timeout'或'abort'
+     *   request包含method、url、params（路径参数）、query、data、headers、config
+     * @param {Object} routeOptions - 路由选项
+     * @param {number} routeOptions.times - 匹配次数，用完后移除该路由，默认不限制
+     * @param {number} routeOptions.delay - 响应延迟（毫秒）
+     * @returns {Object} 请求实现实例，便于链式调用
+     */
+    on: function(method, url, handler, routeOptions = {}) {
+      routes.push({
+        method: method.toLowerCase(),
+        url,
+        handler,
+        times: routeOptions.times || Infinity,
+        delay: routeOptions.delay
+      });
+      return requestor;
+    },
+
+    /**
+     * 注册静态夹具，始终返回相同的数据
+     * @param {string} method - 请求方法
+     * @param {string} url - 路径模式
+     * @param {*} data - 响应数据
+     * @param {Object} routeOptions - 路由选项，同on，另外支持status和headers
+     * @returns {Object} 请求实现实例
+     */
+    fixture: function(method, url, data, routeOptions = {}) {
+      const { status = 200, headers = {}, ...rest } = routeOptions;
+      return requestor.on(method, url, { status, data, headers }, rest);
+    },
+
+    /**
+     * 模拟网络错误
+     * @param {string} method - 请求方法
+     * @param {string} url - 路径模式
+     * @param {Object} routeOptions - 路由选项，同on
+     * @returns {Object} 请求实现实例
+     */
+    networkError: function(method, url, routeOptions = {}) {
+      return requestor.on(method, url, { error: 'network' }, routeOptions);
+    },
+
+    /**
+     * 模拟请求超时
+     * @param {string} method - 请求方法
+     * @param {string} url - 路径模式
+     * @param {Object} routeOptions - 路由选项，同on
+     * @returns {Object} 请求实现实例
+     */
+    timeout: function(method, url, routeOptions = {}) {
+      return requestor.on(method, url, { error: 'timeout' }, routeOptions);
+    },
+
+    /**
+     * 请求历史
+     * 每一项包含method、url、params、query、data、headers、config、timestamp、response和error
+     */
+    history,
+
+    /**
+     * 查询请求历史
+     * @param {string} method - 请求方法，不传时不限制
+     * @param {string} url - 路径模式，不传时不限制
+     * @returns {Array<Object>} 匹配的请求记录
+     */
+    getCalls: function(method, url) {
+      return history.filter(entry => {
+        if (method && method !== '*' && entry.method !== method.toLowerCase()) {
+          return false;
+        }
+        return !url || !!matchPath(url, entry.url);
+      });
+    },
+
+    /**
+     * 清空请求历史
+     */
+    resetHistory: function() {
+      history.length = 0;
+    },
+
+    /**
+     * 清空路由和请求历史
+     */
+    reset: function() {
+      routes = [];
+      history.length = 0;
+    },
+
+    /**
+     * GET请求
+     * @param {string} url - 请求URL
+     * @param {Object} options - 请求选项
+     * @returns {Promise} 请求结果
+     */
+    get: function(url, options = {}) {
+      return this.request({
+        method: 'get',
+        url,
+        ...options
+      });
+    },
+
+    /**
+     * POST请求
+     * @param {string} url - 请求URL
+     * @param {Object} data - 请求数据
+     * @param {Object} options - 请求选项
+     * @returns {Promise} 请求结果
+     */
+    post: function(url, data = {}, options = {}) {
+      return this.request({
+        method: 'post',
+        url,
+        data,
+        ...options
+      });
+    },
+
+    /**
+     * PUT请求
+     * @param {string} url - 请求URL
+     * @param {Object} data - 请求数据
+     * @param {Object} options - 请求选项
+     * @returns {Promise} 请求结果
+     */
+    put: function(url, data = {}, options = {}) {
+      return this.request({
+        method: 'put',
+        url,
+        data,
+        ...options
+      });
+    },
+
+    /**
+     * DELETE请求
+     * @param {string} url - 请求URL
+     * @param {Object} options - 请求选项
+     * @returns {Promise} 请求结果
+     */
+    delete: function(url, options = {}) {
+      return this.request({
+        method: 'delete',
+        url,
+        ...options
+      });
+    },
+
+    /**
+     * PATCH请求
+     * @param {string} url - 请求URL
+     * @param {Object} data - 请求数据
+     * @param {Object} options - 请求选项
+     * @returns {Promise} 请求结果
+     */
+    patch: function(url, data = {}, options = {}) {
+      return this.request({
+        method: 'patch',
+        url,
+        data,
+        ...options
+      });
+    }
+  };
+
+  return requestor;
+}
+
+/**
+ * 默认的模拟请求实现实例
+ */
+export const requestor = createMockRequestor();
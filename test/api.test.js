@@ -0,0 +1,126 @@
+/**
+ * defineApi测试：路径参数、查询参数和请求体映射、按接口配置缓存、重试和幂等、统一错误处理
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '../request-core/index.js';
+import { HttpError } from '../request-core/errors.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS } from './helpers/implementations.js';
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`defineApi (${name})`, () => {
+    let server;
+    let client;
+    let errors;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      server.reset();
+      client = createClient({ requestor, baseURL: server.baseURL, timeout: 2000 });
+      errors = [];
+    });
+
+    /**
+     * 创建测试用接口，错误记录到errors而不打印日志
+     * @param {Object} definitions - 接口定义
+     * @returns {Object} 请求方法
+     */
+    function defineApi(definitions) {
+      return client.defineApi(definitions, {
+        onError: (error, context) => errors.push(context.description)
+      });
+    }
+
+    it('插值路径参数，其余参数作为查询参数', async () => {
+      const api = defineApi({ getItem: { path: '/echo/:id', args: ['id', 'fields'] } });
+      const data = await api.getItem('a b', ['title']);
+      assert.equal(data.method, 'GET');
+      assert.equal(data.path, '/echo/a%20b');
+      assert.equal(data.query, '?fields[]=title');
+    });
+
+    it('使用参数对象和默认值调用', async () => {
+      const api = defineApi({ list: { path: '/echo', defaults: { page: 1, size: 10 } } });
+      const data = await api.list({ size: 20 });
+      assert.equal(data.query, '?page=1&size=20');
+    });
+
+    it('POST请求的剩余参数作为请求体', async () => {
+      const api = defineApi({ create: { method: 'post', path: '/echo/:type' } });
+      const data = await api.create({ type: 'article', title: 'a' });
+      assert.equal(data.path, '/echo/article');
+      assert.deepEqual(JSON.parse(data.body), { title: 'a' });
+    });
+
+    it('按映射规则生成查询参数和请求体', async () => {
+      const api = defineApi({
+        update: {
+          method: 'put',
+          path: '/echo/:id',
+          args: ['id', 'article', 'draft'],
+          params: ['draft'],
+          data: 'article'
+        }
+      });
+      const data = await api.update(1, { title: 'b' }, true);
+      assert.equal(data.query, '?draft=true');
+      assert.deepEqual(JSON.parse(data.body), { title: 'b' });
+    });
+
+    it('合并接口配置和单次请求配置', async () => {
+      const api = defineApi({
+        get: { path: '/echo', args: ['q'], config: { headers: { 'X-Endpoint': 'a' } } }
+      });
+      const data = await api.get('x', { headers: { 'X-Call': 'b' } });
+      assert.equal(data.headers['x-endpoint'], 'a');
+      assert.equal(data.headers['x-call'], 'b');
+    });
+
+    it('通过transform处理返回结果', async () => {
+      const api = defineApi({
+        count: { path: '/count/:key', transform: (data, input) => `${input.key}:${data.count}` }
+      });
+      assert.equal(await api.count({ key: 'a' }), 'a:1');
+    });
+
+    it('开启缓存的接口只请求一次并提供缓存功能层', async () => {
+      const api = defineApi({ count: { path: '/count/a', cache: 1000 } });
+      assert.deepEqual(await api.count(), { count: 1 });
+      assert.deepEqual(await api.count(), { count: 1 });
+      await api.count.cache.clear();
+      assert.deepEqual(await api.count(), { count: 2 });
+    });
+
+    it('开启幂等的接口重复提交只发送一次', async () => {
+      const api = defineApi({ submit: { method: 'post', path: '/echo', idempotent: true } });
+      await Promise.all([api.submit({ a: 1 }), api.submit({ a: 1 })]);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('按接口配置重试', async () => {
+      const api = defineApi({
+        flaky: { path: '/flaky/a', retry: { maxCount: 3, delay: 1, jitter: false } }
+      });
+      assert.deepEqual(await api.flaky({ failures: 2 }), { attempts: 3 });
+    });
+
+    it('失败时调用错误处理并抛出错误', async () => {
+      const api = defineApi({ fail: { path: '/status/500', description: '获取数据' } });
+      await assert.rejects(api.fail(), HttpError);
+      assert.deepEqual(errors, ['获取数据']);
+    });
+
+    it('缺少路径参数时抛出错误', async () => {
+      const api = defineApi({ getItem: { path: '/echo/:id' } });
+      await assert.rejects(api.getItem({}), /Missing path parameter "id" for getItem/);
+      assert.equal(server.requests.length, 0);
+    });
+  });
+}
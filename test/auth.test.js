@@ -0,0 +1,109 @@
+/**
+ * 认证管理测试：注入token、并发401只刷新一次、刷新失败退出登录、skipAuth，以及重放的请求经过响应拦截器
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '../request-core/index.js';
+import { HttpError } from '../request-core/errors.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+describe('认证管理', () => {
+  const mock = createMockRequestor();
+  let client;
+  let refreshCount;
+
+  beforeEach(() => {
+    mock.reset();
+    refreshCount = 0;
+    // 只接受新token
+    mock.on('get', '/profile/:id', ({ params, headers }) => (
+      headers.Authorization === 'Bearer new-token'
+        ? { data: { id: params.id }, delay: 10 }
+        : { status: 401, data: { message: 'Unauthorized' }, delay: 10 }
+    ));
+    mock.on('post', '/login', ({ headers }) => ({ data: { authorization: headers.Authorization || null } }));
+    client = createClient({ requestor: mock });
+  });
+
+  /**
+   * 安装认证管理器
+   * @param {Object} options - 认证管理器选项，覆盖默认的token和刷新函数
+   * @returns {Object} 认证管理器
+   */
+  function useTestAuth(options = {}) {
+    return client.useAuth({
+      accessToken: 'old-token',
+      refreshToken: 'refresh-token',
+      refresh: async () => {
+        refreshCount++;
+        return 'new-token';
+      },
+      ...options
+    });
+  }
+
+  it('并发的401只刷新一次，用新token重放所有请求', async () => {
+    const auth = useTestAuth();
+    const refreshed = [];
+    auth.on('refresh', token => refreshed.push(token));
+
+    const responses = await Promise.all(['1', '2', '3'].map(id => client.get(`/profile/${id}`)));
+
+    assert.deepEqual(responses.map(response => response.data.id), ['1', '2', '3']);
+    assert.equal(refreshCount, 1);
+    assert.deepEqual(refreshed, ['new-token']);
+    assert.equal(mock.history.length, 6);
+    assert.ok(mock.history.slice(3).every(entry => entry.headers.Authorization === 'Bearer new-token'));
+  });
+
+  it('刷新失败时退出登录并抛出原错误', async () => {
+    const auth = useTestAuth({
+      refresh: async () => {
+        refreshCount++;
+        throw new Error('refresh token expired');
+      }
+    });
+    const reasons = [];
+    auth.on('logout', reason => reasons.push(reason.message));
+
+    const results = await Promise.allSettled([client.get('/profile/1'), client.get('/profile/2')]);
+
+    assert.ok(results.every(result => result.status === 'rejected' && result.reason instanceof HttpError && result.reason.status === 401));
+    assert.equal(refreshCount, 1);
+    assert.deepEqual(reasons, ['refresh token expired']);
+    assert.equal(await auth.getToken(), null);
+    assert.equal(auth.getRefreshToken(), null);
+  });
+
+  it('skipAuth的请求不携带token，401时不刷新', async () => {
+    useTestAuth();
+    const response = await client.post('/login', {}, { skipAuth: true });
+    assert.equal(response.data.authorization, null);
+
+    await assert.rejects(client.get('/profile/1', { skipAuth: true }), HttpError);
+    assert.equal(refreshCount, 0);
+    assert.equal(mock.history.length, 2);
+  });
+
+  it('重放的响应经过排在认证管理器之前和之后的响应拦截器，与正常响应结构一致', async () => {
+    const calls = [];
+    client.interceptors.response.use(response => {
+      calls.push('before');
+      return { ...response, data: { payload: response.data } };
+    });
+    const auth = useTestAuth();
+    client.interceptors.response.use(response => {
+      calls.push('after');
+      return response;
+    });
+
+    const replayed = await client.get('/profile/1');
+    const normal = await client.get('/profile/2');
+
+    assert.deepEqual(replayed.data, { payload: { id: '1' } });
+    assert.deepEqual(normal.data, { payload: { id: '2' } });
+    assert.deepEqual(calls, ['before', 'after', 'before', 'after']);
+    assert.equal(await auth.getToken(), 'new-token');
+  });
+});
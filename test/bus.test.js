@@ -0,0 +1,71 @@
+/**
+ * 业务层测试：导入时不修改默认客户端，initRequest绑定默认客户端，同一个客户端只创建一次业务模块
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, defaultClient } from '../request-core/index.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+/**
+ * 统计客户端注册的缓存失效规则数量
+ * @param {Object} client - 请求客户端
+ * @returns {Function} 返回当前注册数量的函数
+ */
+function countInvalidationRules(client) {
+  const addInvalidationRule = client.addInvalidationRule;
+  let count = 0;
+  client.addInvalidationRule = (rule) => {
+    count++;
+    return addInvalidationRule(rule);
+  };
+  return () => count;
+}
+
+describe('业务层', () => {
+  it('导入业务层和入口文件时不注入请求实现，也不注册失效规则', async () => {
+    const ruleCount = countInvalidationRules(defaultClient);
+    const { bindModules } = await import('../request-bus/index.js');
+    const { initRequest } = await import('../index.js');
+
+    assert.equal(typeof bindModules, 'function');
+    assert.equal(typeof initRequest, 'function');
+    assert.equal(ruleCount(), 0);
+    await assert.rejects(defaultClient.get('/api/articles'), /Requestor not injected/);
+  });
+
+  it('initRequest将业务模块绑定到默认客户端，多次调用只注册一次失效规则', async () => {
+    const ruleCount = countInvalidationRules(defaultClient);
+    const { initRequest } = await import('../index.js');
+    const mock = createMockRequestor();
+    mock.on('get', '/api/users/:userId', ({ params }) => ({ data: { id: params.userId } }));
+
+    const first = initRequest({ baseURL: 'https://api.example.com' });
+    const second = initRequest({ baseURL: 'https://api.example.com' });
+    defaultClient.inject(mock);
+
+    assert.deepEqual(await second.user.getUserInfo('1'), { id: '1' });
+    assert.equal(mock.history[0].url, 'https://api.example.com/api/users/1');
+    assert.equal(first.article.getArticles.cache, second.article.getArticles.cache);
+    assert.equal(ruleCount(), 2);
+  });
+
+  it('bindModules对同一个客户端只创建一次业务模块，补丁按每次的选项应用', async () => {
+    const { bindModules } = await import('../request-bus/index.js');
+    const mock = createMockRequestor();
+    mock.on('get', '/api/articles/:id', ({ params }) => ({ data: { id: params.id } }));
+    const client = createClient({ requestor: mock });
+    const ruleCount = countInvalidationRules(client);
+
+    const modules = bindModules(client);
+    const patched = bindModules(client, {
+      patches: [{ target: 'article.getArticleDetail', replace: async () => 'local' }]
+    });
+
+    assert.equal(ruleCount(), 2);
+    assert.equal(modules.article.getArticles.cache, patched.article.getArticles.cache);
+    assert.deepEqual(await modules.article.getArticleDetail(1), { id: '1' });
+    assert.equal(await patched.article.getArticleDetail(1), 'local');
+    assert.equal(bindModules(createClient({ requestor: mock })).article.getArticles.cache === modules.article.getArticles.cache, false);
+  });
+});
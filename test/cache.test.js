@@ -0,0 +1,329 @@
+/**
+ * createCacheRequestor测试：缓存命中、缓存键规范化、过期、错误不缓存、按标签失效和缓存模式
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  inject,
+  setGlobalConfig,
+  createCacheRequestor,
+  clearCache,
+  createClient,
+  createIndexedDBStore,
+  createLRUStore,
+  createStorageStore,
+  CACHE_MODE
+} from '../request-core/index.js';
+import { HttpError, NetworkError, CacheMissError } from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS } from './helpers/implementations.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`createCacheRequestor (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      server.reset();
+      inject(requestor);
+      setGlobalConfig({ baseURL: server.baseURL, timeout: 2000 });
+      await clearCache();
+    });
+
+    it('相同的请求命中缓存', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 1000 });
+      const first = await cacheRequestor.get('/count/a');
+      const second = await cacheRequestor.get('/count/a');
+      assert.deepEqual(first.data, { count: 1 });
+      assert.deepEqual(second.data, { count: 1 });
+      assert.equal(server.hits.get('/count/a'), 1);
+    });
+
+    it('参数不同时分别缓存，参数顺序不影响缓存键', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 1000 });
+      await cacheRequestor.get('/count/b', { params: { page: 1, size: 10 } });
+      await cacheRequestor.get('/count/b', { params: { size: 10, page: 1 } });
+      assert.equal(server.hits.get('/count/b'), 1);
+      await cacheRequestor.get('/count/b', { params: { page: 2, size: 10 } });
+      assert.equal(server.hits.get('/count/b'), 2);
+    });
+
+    it('缓存过期后重新请求', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 30 });
+      await cacheRequestor.get('/count/c');
+      await sleep(60);
+      const response = await cacheRequestor.get('/count/c');
+      assert.deepEqual(response.data, { count: 2 });
+    });
+
+    it('失败的请求不缓存', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 1000 });
+      await assert.rejects(cacheRequestor.get('/status/500'), HttpError);
+      await assert.rejects(cacheRequestor.get('/status/500'), HttpError);
+      assert.equal(server.hits.get('/status/500'), 2);
+    });
+
+    it('并发的相同请求只发送一次', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 1000 });
+      const responses = await Promise.all([
+        cacheRequestor.get('/count/d'),
+        cacheRequestor.get('/count/d'),
+        cacheRequestor.get('/count/d')
+      ]);
+      assert.equal(server.hits.get('/count/d'), 1);
+      responses.forEach(response => assert.deepEqual(response.data, { count: 1 }));
+    });
+
+    it('按标签失效后重新请求', async () => {
+      const cacheRequestor = createCacheRequestor({ duration: 1000, tags: ['counts'] });
+      await cacheRequestor.get('/count/e');
+      await cacheRequestor.invalidateByTag('counts');
+      const response = await cacheRequestor.get('/count/e');
+      assert.deepEqual(response.data, { count: 2 });
+    });
+  });
+}
+
+describe('缓存模式', () => {
+  const mock = createMockRequestor();
+  let client;
+  let count;
+  let offline;
+
+  beforeEach(() => {
+    mock.reset();
+    count = 0;
+    offline = false;
+    mock.on('get', '/count', () => (offline ? { error: 'network' } : { data: ++count }));
+    client = createClient({ requestor: mock });
+  });
+
+  it('stale-while-revalidate：过期时先返回旧数据，后台刷新后调用onRevalidate', async () => {
+    const requestor = client.createCacheRequestor({ mode: CACHE_MODE.STALE_WHILE_REVALIDATE, duration: 20 });
+    assert.equal((await requestor.get('/count')).data, 1);
+    assert.equal((await requestor.get('/count')).data, 1);
+    assert.equal(mock.history.length, 1);
+
+    await sleep(30);
+    let onRevalidate;
+    const revalidated = new Promise(resolve => {
+      onRevalidate = resolve;
+    });
+    assert.equal((await requestor.get('/count', { onRevalidate })).data, 1);
+    assert.equal((await revalidated).data, 2);
+    assert.equal((await requestor.get('/count')).data, 2);
+    assert.equal(mock.history.length, 2);
+  });
+
+  it('network-first：每次请求网络，网络失败时回退到缓存', async () => {
+    const requestor = client.createCacheRequestor({ mode: CACHE_MODE.NETWORK_FIRST });
+    assert.equal((await requestor.get('/count')).data, 1);
+    assert.equal((await requestor.get('/count')).data, 2);
+
+    offline = true;
+    assert.equal((await requestor.get('/count')).data, 2);
+    await assert.rejects(requestor.get('/count', { params: { page: 2 } }), NetworkError);
+  });
+
+  it('cache-only：只读缓存，没有缓存时抛出CacheMissError', async () => {
+    const requestor = client.createCacheRequestor();
+    await assert.rejects(requestor.get('/count', { cacheMode: CACHE_MODE.CACHE_ONLY }), (error) => {
+      assert.ok(error instanceof CacheMissError);
+      assert.equal(error.key, 'get-/count');
+      return true;
+    });
+    assert.equal(mock.history.length, 0);
+
+    await requestor.get('/count');
+    assert.equal((await requestor.get('/count', { cacheMode: CACHE_MODE.CACHE_ONLY })).data, 1);
+    assert.equal(mock.history.length, 1);
+  });
+
+  it('network-only：总是请求网络，结果仍写入缓存', async () => {
+    const requestor = client.createCacheRequestor({ mode: CACHE_MODE.NETWORK_ONLY });
+    assert.equal((await requestor.get('/count')).data, 1);
+    assert.equal((await requestor.get('/count')).data, 2);
+    assert.equal((await requestor.get('/count', { cacheMode: CACHE_MODE.CACHE_ONLY })).data, 2);
+    assert.equal(mock.history.length, 2);
+  });
+});
+
+describe('缓存注册表', () => {
+  it('全局失效作用于存活的匿名缓存', async () => {
+    const mock = createMockRequestor();
+    let count = 0;
+    mock.on('get', '/count', () => ({ data: ++count }));
+    const client = createClient({ requestor: mock });
+    const requestor = client.createCacheRequestor({ tags: ['counts'] });
+
+    assert.equal((await requestor.get('/count')).data, 1);
+    await client.invalidateByTag('counts');
+    assert.equal((await requestor.get('/count')).data, 2);
+    await client.clearCache();
+    assert.equal((await requestor.get('/count')).data, 3);
+  });
+
+  it('全局失效作用于使用共享存储的匿名缓存', async () => {
+    const mock = createMockRequestor();
+    let count = 0;
+    mock.on('get', '/count', () => ({ data: ++count }));
+    const client = createClient({ requestor: mock });
+    const store = createLRUStore();
+
+    /**
+     * 每次调用都创建新的匿名缓存，数据保存在共享存储中
+     * @returns {Promise<number>} 响应数据
+     */
+    async function loadCount() {
+      const response = await client.createCacheRequestor({ store, tags: ['counts'] }).get('/count');
+      return response.data;
+    }
+
+    assert.equal(await loadCount(), 1);
+    assert.equal(await loadCount(), 1);
+    await client.invalidateByTag('counts');
+    assert.equal(await loadCount(), 2);
+    await client.clearCache();
+    assert.equal(await loadCount(), 3);
+  });
+});
+
+describe('createIndexedDBStore', () => {
+  it('二进制响应数据原样保存和读取', async () => {
+    const mock = createMockRequestor();
+    mock.on('get', '/files/:id', ({ params }) => ({
+      data: params.id === 'image' ? new Blob(['png-bytes'], { type: 'image/png' }) : new Uint8Array([1, 2, 3]).buffer
+    }));
+    const client = createClient({ requestor: mock });
+    const store = createIndexedDBStore({ indexedDB: new IDBFactory() });
+    const requestor = client.createCacheRequestor({ store });
+
+    await requestor.get('/files/image', { responseType: 'blob' });
+    await requestor.get('/files/bytes', { responseType: 'arraybuffer' });
+    const image = await requestor.get('/files/image', { responseType: 'blob' });
+    const bytes = await requestor.get('/files/bytes', { responseType: 'arraybuffer' });
+
+    assert.equal(mock.history.length, 2);
+    assert.ok(image.data instanceof Blob);
+    assert.equal(image.data.type, 'image/png');
+    assert.equal(await image.data.text(), 'png-bytes');
+    assert.ok(bytes.data instanceof ArrayBuffer);
+    assert.deepEqual([...new Uint8Array(bytes.data)], [1, 2, 3]);
+
+    const [entry] = await Promise.all((await store.keys()).map(key => store.get(key)));
+    assert.equal(entry.data.config, undefined);
+    assert.equal(entry.data.request, undefined);
+  });
+});
+
+describe('createLRUStore', () => {
+  it('超出条数上限时淘汰最久未使用的缓存', async () => {
+    const store = createLRUStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    assert.deepEqual(await store.keys(), ['a', 'c']);
+    assert.equal(await store.get('b'), undefined);
+  });
+
+  it('超出字节上限时淘汰最久未使用的缓存，单条超过上限的缓存不保存', async () => {
+    const store = createLRUStore({ maxBytes: 10, sizeOf: value => value.length });
+    await store.set('a', 'xxxx');
+    await store.set('b', 'xxxx');
+    await store.set('c', 'xxxx');
+    assert.deepEqual(await store.keys(), ['b', 'c']);
+    assert.deepEqual(store.size(), { entries: 2, bytes: 8 });
+
+    await store.set('b', 'x'.repeat(11));
+    assert.deepEqual(await store.keys(), ['c']);
+    assert.deepEqual(store.size(), { entries: 1, bytes: 4 });
+  });
+});
+
+/**
+ * 创建限制容量的Web Storage，按键和值的总字符数计算容量
+ * @param {number} quota - 最大字符数
+ * @returns {Object} 模拟的Storage对象
+ */
+function createQuotaStorage(quota) {
+  const items = new Map();
+  const usage = () => Array.from(items).reduce((total, [key, value]) => total + key.length + value.length, 0);
+
+  return {
+    get length() {
+      return items.size;
+    },
+    key: function(index) {
+      return Array.from(items.keys())[index] ?? null;
+    },
+    getItem: function(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem: function(key, value) {
+      const previous = items.get(key);
+      items.set(key, String(value));
+      if (usage() > quota) {
+        previous === undefined ? items.delete(key) : items.set(key, previous);
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+    },
+    removeItem: function(key) {
+      items.delete(key);
+    }
+  };
+}
+
+describe('createStorageStore', () => {
+  it('同一个对象出现在多处时都会保存，循环引用被忽略', async () => {
+    const store = createStorageStore({ storage: createQuotaStorage(Infinity) });
+    const data = { id: 1 };
+    const value = { data, envelope: { code: 0, data } };
+    value.self = value;
+
+    await store.set('entry', value);
+
+    assert.deepEqual(await store.get('entry'), { data: { id: 1 }, envelope: { code: 0, data: { id: 1 } } });
+  });
+
+  it('存储空间不足时淘汰本命名空间内最早写入的缓存', async () => {
+    const storage = createQuotaStorage(150);
+    storage.setItem('other', 'x'.repeat(20));
+    const store = createStorageStore({ storage, namespace: 'cache' });
+    const entry = timestamp => ({ timestamp, data: 'x'.repeat(20) });
+
+    await store.set('b', entry(2));
+    await store.set('a', entry(1));
+    await store.set('c', entry(3));
+
+    assert.deepEqual((await store.keys()).sort(), ['b', 'c']);
+    assert.equal(storage.getItem('other'), 'x'.repeat(20));
+  });
+
+  it('不同命名空间的缓存互不影响', async () => {
+    const storage = createQuotaStorage(Infinity);
+    const users = createStorageStore({ storage, namespace: 'users' });
+    const articles = createStorageStore({ storage, namespace: 'articles' });
+
+    await users.set('list', { data: ['alice'] });
+    await articles.set('list', { data: ['hello'] });
+    assert.deepEqual(await users.get('list'), { data: ['alice'] });
+    assert.deepEqual(await articles.keys(), ['list']);
+
+    await users.clear();
+    assert.equal(await users.has('list'), false);
+    assert.deepEqual(await articles.get('list'), { data: ['hello'] });
+  });
+});
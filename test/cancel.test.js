@@ -0,0 +1,101 @@
+/**
+ * 取消测试：取消组、已取消的signal，以及取消在重试等待、调度队列、缓存和去重中的传递
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createCancelGroup, cancelable, retry, dedupe, createScheduler } from '../request-core/index.js';
+import { AbortError } from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+describe('请求取消', () => {
+  const mock = createMockRequestor();
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    mock.on('get', '/slow', { data: 'slow' }, { delay: 50 });
+    mock.on('get', '/unavailable', { status: 503 });
+    client = createClient({ requestor: mock });
+  });
+
+  it('已取消的signal直接以AbortError结束，不发送请求', async () => {
+    const controller = new AbortController();
+    controller.abort('stop');
+    await assert.rejects(client.get('/slow', { signal: controller.signal }), (error) => {
+      assert.ok(error instanceof AbortError);
+      assert.equal(error.reason, 'stop');
+      return true;
+    });
+    assert.equal(mock.history.length, 0);
+  });
+
+  it('取消组取消进行中、排队中和重试等待中的请求，之后的请求不受影响', async () => {
+    const group = createCancelGroup();
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const requestor = client.compose(cancelable(group), retry({ maxCount: 3, delay: 1000, jitter: false }), scheduler);
+
+    const running = requestor.get('/slow');
+    const queued = requestor.get('/slow', { params: { page: 2 } });
+    const retrying = client.compose(cancelable(group), retry({ maxCount: 3, delay: 1000, jitter: false })).get('/unavailable');
+    await sleep(10);
+    assert.equal(scheduler.stats().queued, 1);
+
+    group.cancel('navigation');
+    for (const request of [running, queued, retrying]) {
+      await assert.rejects(request, (error) => error instanceof AbortError && error.reason === 'navigation');
+    }
+    assert.deepEqual(scheduler.stats(), { queued: 0, running: 0, paused: false });
+    assert.deepEqual(mock.history.map(entry => entry.url).sort(), ['/slow', '/unavailable']);
+
+    assert.equal(group.signal.aborted, false);
+    assert.equal((await requestor.get('/slow')).data, 'slow');
+  });
+
+  it('排队中的请求取消后移出队列，不发送请求', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const requestor = client.compose(scheduler);
+    const controller = new AbortController();
+
+    const first = requestor.get('/slow');
+    const second = requestor.get('/slow', { params: { page: 2 }, signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(second, AbortError);
+    assert.equal(scheduler.stats().queued, 0);
+    await first;
+    assert.equal(mock.history.length, 1);
+  });
+
+  it('缓存中合并的请求，一个调用方取消不影响其他调用方和缓存结果', async () => {
+    const requestor = client.createCacheRequestor();
+    const controller = new AbortController();
+
+    const first = requestor.get('/slow', { signal: controller.signal });
+    const second = requestor.get('/slow');
+    await sleep(10);
+    controller.abort();
+
+    await assert.rejects(first, AbortError);
+    assert.equal((await second).data, 'slow');
+    assert.equal((await requestor.get('/slow')).data, 'slow');
+    assert.equal(mock.history.length, 1);
+  });
+
+  it('去重中合并的请求全部取消后取消上游请求，之后的请求重新发送', async () => {
+    const requestor = client.compose(dedupe());
+    const controllers = [new AbortController(), new AbortController()];
+
+    const requests = controllers.map(controller => requestor.get('/slow', { signal: controller.signal }));
+    await sleep(10);
+    controllers.forEach(controller => controller.abort());
+
+    for (const request of requests) {
+      await assert.rejects(request, AbortError);
+    }
+    assert.equal(mock.history[0].config.signal.aborted, true);
+    assert.equal((await requestor.get('/slow')).data, 'slow');
+    assert.equal(mock.history.length, 2);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * createClient测试：未注入请求实现时的错误，超时时间的合并，请求拦截器的错误恢复和移除
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, retry } from '../request-core/index.js';
+import { HttpError } from '../request-core/errors.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+describe('createClient', () => {
+  it('未注入请求实现时所有请求方法返回被拒绝的Promise', async () => {
+    const client = createClient();
+    const composed = client.compose(retry(1));
+    const calls = [
+      () => client.get('/users'),
+      () => client.post('/users', {}),
+      () => client.request({ method: 'get', url: '/users' }),
+      () => client.send({ method: 'get', url: '/users' }),
+      () => composed.get('/users')
+    ];
+    for (const call of calls) {
+      let result;
+      assert.doesNotThrow(() => {
+        result = call();
+      });
+      await assert.rejects(result, /Requestor not injected/);
+    }
+  });
+
+  it('单次请求的timeout为0时不使用客户端的超时时间', async () => {
+    const mock = createMockRequestor();
+    mock.on('get', '/users', { data: [] });
+    const client = createClient({ requestor: mock, timeout: 5000 });
+
+    await client.get('/users');
+    await client.get('/users', { timeout: 0 });
+
+    assert.deepEqual(mock.history.map(entry => entry.config.timeout), [5000, 0]);
+  });
+});
+
+describe('请求拦截器', () => {
+  const mock = createMockRequestor();
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    mock.on('get', '/users', { data: [] }, { delay: 20 });
+    mock.on('get', '/missing', { status: 404 });
+    client = createClient({ requestor: mock });
+  });
+
+  it('rejected返回请求配置时继续请求', async () => {
+    client.interceptors.request.use(() => {
+      throw new Error('token expired');
+    });
+    client.interceptors.request.use(null, error => ({ method: 'get', url: '/users', headers: { 'X-Recovered': error.message } }));
+    const response = await client.get('/users');
+    assert.deepEqual(response.data, []);
+    assert.equal(mock.history[0].headers['X-Recovered'], 'token expired');
+  });
+
+  it('rejected未返回请求配置时继续抛出原错误', async () => {
+    const error = new Error('token expired');
+    client.interceptors.request.use(() => {
+      throw error;
+    });
+    client.interceptors.request.use(null, () => {});
+    await assert.rejects(client.get('/users'), caught => caught === error);
+    assert.equal(mock.history.length, 0);
+  });
+
+  it('rejected只处理前面的请求拦截器抛出的错误，不处理请求错误', async () => {
+    const seen = [];
+    client.interceptors.request.use(null, error => {
+      seen.push(error);
+      return { method: 'get', url: '/users' };
+    });
+    await assert.rejects(client.get('/missing'), HttpError);
+    assert.deepEqual(seen, []);
+  });
+
+  it('eject不影响进行中的请求', async () => {
+    const requestId = client.interceptors.request.use(config => {
+      config.headers['X-Trace'] = 'on';
+    });
+    const responseId = client.interceptors.response.use(response => ({ ...response, traced: true }));
+
+    const pending = client.get('/users');
+    client.interceptors.request.eject(requestId);
+    client.interceptors.response.eject(responseId);
+    const first = await pending;
+    const second = await client.get('/users');
+
+    assert.equal(first.traced, true);
+    assert.equal(second.traced, undefined);
+    assert.deepEqual(mock.history.map(entry => entry.headers['X-Trace']), ['on', undefined]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * OpenAPI代码生成测试：规范解析、生成的模块代码和类型声明，以及生成的模块发出的请求
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+import YAML from 'yaml';
+import { parseSpec, loadSpec, collectOperations, generateModules } from '../request-codegen/index.js';
+import { createClient } from '../request-core/index.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE = join(ROOT, 'test', 'fixtures', 'openapi.yaml');
+
+describe('OpenAPI代码生成', () => {
+  let spec;
+
+  before(async () => {
+    spec = await loadSpec(FIXTURE);
+  });
+
+  it('解析JSON和YAML格式的规范', async () => {
+    const text = await readFile(FIXTURE, 'utf8');
+    assert.deepEqual(parseSpec(JSON.stringify(YAML.parse(text)), 'openapi.json'), spec);
+    assert.throws(() => parseSpec('swagger: "2.0"', 'swagger.yaml'), /not an OpenAPI 3 document/);
+  });
+
+  it('整理接口：合并路径级参数、解析引用、转换路径参数', () => {
+    const operations = collectOperations(spec);
+    const detail = operations.find(operation => operation.name === 'getArticleDetail');
+    assert.equal(detail.path, '/api/articles/:articleId');
+    assert.deepEqual(detail.pathParams.map(parameter => parameter.identifier), ['articleId']);
+
+    const list = operations.find(operation => operation.name === 'getArticles');
+    assert.deepEqual(list.queryParams.map(parameter => parameter.name), ['page', 'size', 'status']);
+
+    // 没有operationId时根据方法和路径命名，没有tags时归入common模块
+    assert.ok(operations.some(operation => operation.name === 'deleteApiArticlesByArticleId'));
+    assert.equal(operations.find(operation => operation.name === 'getHealth').tag, 'common');
+  });
+
+  it('按tag生成模块、类型声明和入口文件', () => {
+    const files = generateModules(spec);
+    assert.deepEqual(Object.keys(files).sort(), [
+      'article/index.d.ts',
+      'article/index.js',
+      'common/index.d.ts',
+      'common/index.js',
+      'index.d.ts',
+      'index.js',
+      'types.d.ts',
+      'user/index.d.ts',
+      'user/index.js'
+    ]);
+
+    const article = files['article/index.js'];
+    assert.match(article, /import \{ defaultClient \} from '\.\.\/\.\.\/\.\.\/request-core\/index\.js';/);
+    assert.match(article, /export function createArticleModule\(client\)/);
+    assert.match(article, /params: \(\{ query \}\) => \(\{ page: 1, size: 10, \.\.\.query \}\)/);
+    assert.match(article, /cache: \{ name: 'articles', duration: 60000, tags: \['articles'\] \}/);
+    assert.match(article, /@param \{ArticleInput\} articleInput - 请求体/);
+    assert.match(article, /export const getArticleDetail = defaultModule\.getArticleDetail;/);
+
+    const dts = files['article/index.d.ts'];
+    assert.match(dts, /getArticleDetail\(articleId: string, config\?: RequestConfig\): Promise<Article>;/);
+    assert.match(dts, /publishArticle\(articleInput: ArticleInput, config\?: RequestConfig\): Promise<Article>;/);
+
+    const types = files['types.d.ts'];
+    assert.match(types, /export type ArticleStatus = 'draft' \| 'published';/);
+    assert.match(types, /export type Article = ArticleInput & \{/);
+    assert.match(types, /publishedAt\?: string \| null;/);
+  });
+
+  it('只生成指定tag的模块', () => {
+    const files = generateModules(spec, { tags: ['user'] });
+    assert.ok(files['user/index.js']);
+    assert.equal(files['article/index.js'], undefined);
+  });
+
+  describe('生成的模块', () => {
+    let outDir;
+    let modules;
+    const mock = createMockRequestor();
+
+    before(async () => {
+      outDir = await mkdtemp(join(tmpdir(), 'request-codegen-'));
+      const coreImport = pathToFileURL(join(ROOT, 'request-core', 'index.js')).href;
+      const files = generateModules(spec, { coreImport });
+      for (const [file, content] of Object.entries(files)) {
+        await mkdir(dirname(join(outDir, file)), { recursive: true });
+        await writeFile(join(outDir, file), content);
+      }
+      const { bindModules } = await import(pathToFileURL(join(outDir, 'index.js')).href);
+      modules = bindModules(createClient({ requestor: mock, baseURL: 'https://api.example.com' }));
+
+      mock.on('*', '/api/articles', ({ query, data }) => ({ data: { query, data } }));
+      mock.on('*', '/api/articles/:id', ({ method, params }) => ({ data: { method, id: params.id } }));
+      mock.on('put', '/api/articles/:id/cover', ({ headers }) => ({ data: { url: headers['Content-Type'] } }));
+      mock.fixture('get', '/health', 'ok');
+    });
+
+    after(() => rm(outDir, { recursive: true, force: true }));
+
+    it('补充查询参数默认值并使用缓存', async () => {
+      assert.deepEqual(await modules.article.getArticles({ status: 'draft' }), {
+        query: { page: 1, size: 10, status: 'draft' },
+        data: null
+      });
+      await modules.article.getArticles({ status: 'draft' });
+      assert.equal(mock.getCalls('get', '/api/articles').length, 1);
+    });
+
+    it('插值路径参数并发送请求体', async () => {
+      assert.deepEqual(await modules.article.getArticleDetail('a/b'), { method: 'get', id: 'a/b' });
+      const result = await modules.article.publishArticle({ title: '标题' });
+      assert.deepEqual(result.data, { title: '标题' });
+    });
+
+    it('按请求体和响应的媒体类型设置请求配置', async () => {
+      assert.deepEqual(await modules.article.uploadCover('1', { file: 'x' }), { url: 'multipart/form-data' });
+      await modules.common.getHealth();
+      assert.equal(mock.getCalls('get', '/health')[0].config.responseType, 'text');
+    });
+
+    it('没有参数的接口将第一个参数作为请求配置', async () => {
+      await modules.common.getHealth({ timeout: 1234, headers: { 'X-Trace': 'a' } });
+      const call = mock.getCalls('get', '/health').pop();
+      assert.equal(call.config.timeout, 1234);
+      assert.equal(call.headers['X-Trace'], 'a');
+      assert.deepEqual(call.query, {});
+    });
+  });
+
+  it('命令行生成文件', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      join(ROOT, 'request-codegen', 'cli.js'),
+      FIXTURE,
+      '--tags',
+      'article',
+      '--dry-run'
+    ]);
+    assert.match(stdout, /将生成 .*article[/\\]index\.js/);
+    assert.doesNotMatch(stdout, /user[/\\]index\.js/);
+  });
+});
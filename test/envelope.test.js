@@ -0,0 +1,137 @@
+/**
+ * 响应信封测试：解包数据、业务错误、按状态码映射错误类型、自定义信封格式，以及与拦截器、defineApi、认证刷新的配合
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, BusinessError, HttpError } from '../request-core/index.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS } from './helpers/implementations.js';
+
+class ForbiddenError extends BusinessError {}
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`响应信封 (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => server.reset());
+
+    /**
+     * 创建测试用客户端
+     * @param {boolean|Object} envelope - 信封配置
+     * @returns {Object} 请求客户端
+     */
+    function createTestClient(envelope = true) {
+      return createClient({ requestor, baseURL: server.baseURL, timeout: 2000, envelope });
+    }
+
+    it('成功时返回信封中的数据，保留完整信封', async () => {
+      const response = await createTestClient().get('/envelope/0');
+      assert.deepEqual(response.data, { count: 1 });
+      assert.deepEqual(response.envelope, { code: 0, message: 'ok', data: { count: 1 } });
+      assert.equal(response.status, 200);
+    });
+
+    it('业务状态码不为0时抛出BusinessError', async () => {
+      await assert.rejects(createTestClient().get('/envelope/1001'), (error) => {
+        assert.ok(error instanceof BusinessError);
+        assert.equal(error.type, 'business');
+        assert.equal(error.code, 1001);
+        assert.equal(error.message, 'business error 1001');
+        assert.deepEqual(error.data, { count: 1 });
+        assert.equal(error.response.status, 200);
+        assert.match(error.config.url, /\/envelope\/1001$/);
+        return true;
+      });
+    });
+
+    it('按状态码映射业务错误类型', async () => {
+      const client = createTestClient({ codes: { 403: ForbiddenError } });
+      await assert.rejects(client.get('/envelope/403'), ForbiddenError);
+      await assert.rejects(client.get('/envelope/500'), (error) => !(error instanceof ForbiddenError) && error instanceof BusinessError);
+    });
+
+    it('不是信封的响应原样返回', async () => {
+      const client = createTestClient();
+      assert.equal((await client.get('/echo')).data.method, 'GET');
+      assert.equal((await client.get('/text', { responseType: 'text' })).data, 'plain text');
+    });
+
+    it('带有code属性的普通数据不作为信封处理', async () => {
+      const response = await createTestClient().get('/status/200');
+      assert.deepEqual(response.data, { code: 200 });
+      assert.equal(response.envelope, undefined);
+    });
+
+    it('HTTP错误不经过信封处理', async () => {
+      await assert.rejects(createTestClient().get('/status/500'), HttpError);
+    });
+
+    it('单次请求可以跳过或覆盖信封配置', async () => {
+      const client = createTestClient();
+      const raw = await client.get('/envelope/1001', { envelope: false });
+      assert.equal(raw.data.code, 1001);
+
+      const tolerant = await client.get('/envelope/1001', { envelope: { successWhen: body => body.code < 2000 } });
+      assert.deepEqual(tolerant.data, { count: 2 });
+    });
+
+    it('未配置信封时不处理', async () => {
+      const response = await createTestClient(false).get('/envelope/1001');
+      assert.equal(response.data.code, 1001);
+    });
+
+    it('自定义信封格式', async () => {
+      const client = createTestClient({
+        isEnvelope: body => body && 'message' in body,
+        successWhen: body => body.message === 'ok',
+        unwrap: body => body.data.count,
+        toError: (body, response, config) => new BusinessError(`[${body.code}] ${body.message}`, { code: body.code, response, config })
+      });
+      assert.equal((await client.get('/envelope/0')).data, 1);
+      await assert.rejects(client.get('/envelope/7'), { message: '[7] business error 7' });
+    });
+
+    it('业务错误经过响应拦截器', async () => {
+      const client = createTestClient();
+      const seen = [];
+      client.interceptors.response.use(response => {
+        seen.push(response.data);
+        return response;
+      }, error => {
+        seen.push(error.code);
+        throw error;
+      });
+      await client.get('/envelope/0');
+      await assert.rejects(client.get('/envelope/42'), BusinessError);
+      assert.deepEqual(seen, [{ count: 1 }, 42]);
+    });
+
+    it('defineApi返回解包后的数据', async () => {
+      const api = createTestClient().defineApi({ getCount: { path: '/envelope/:code', args: ['code'] } }, {
+        onError: () => {}
+      });
+      assert.deepEqual(await api.getCount(0), { count: 1 });
+      await assert.rejects(api.getCount(1), BusinessError);
+    });
+
+    it('业务错误可以触发认证刷新，重放的请求同样解包', async () => {
+      const client = createTestClient();
+      const auth = client.useAuth({
+        accessToken: 'old-token',
+        isUnauthorized: error => error instanceof BusinessError && error.code === 401,
+        refresh: async () => 'new-token'
+      });
+      const response = await client.get('/envelope/401?failures=1');
+      assert.deepEqual(response.data, { count: 2 });
+      assert.equal(await auth.getToken(), 'new-token');
+      assert.equal(server.requests[1].headers.authorization, 'Bearer new-token');
+    });
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * 被测试的请求实现
+ * 各测试文件对每个实现运行同一组用例，保证两种实现行为一致
+ */
+
+import { requestor as fetchRequestor } from '../../request-fetch-imp/index.js';
+import { requestor as axiosRequestor } from '../../request-axios-imp/index.js';
+
+export const IMPLEMENTATIONS = [
+  { name: 'fetch', requestor: fetchRequestor },
+  { name: 'axios', requestor: axiosRequestor }
+];
+
+/**
+ * 获取一个没有服务监听的地址，用于模拟网络错误
+ * @returns {string} 请求URL
+ */
+export function getUnreachableURL() {
+  return 'http://127.0.0.1:1/unreachable';
+}
@@ -0,0 +1,178 @@
+/**
+ * 测试用本地HTTP服务
+ * 模拟后端接口，记录收到的请求，供各个测试文件共用
+ *
+ * 路由：
+ *   /echo           返回请求的方法、路径、查询参数、请求头和请求体
+ *   /status/:code   返回指定状态码，响应体为 { code }
+ *   /delay/:ms      延迟指定时间后返回 { delay }
+ *   /flaky/:key     前 failures 次（查询参数，默认2）返回503，之后返回 { attempts }
+ *   /count/:key     返回该路径被请求的次数 { count }
+ *   /envelope/:code 返回业务信封 { code, message, data: { count } }，设置 failures 时只有前 failures 次返回该code
+ *   /text           返回纯文本
+ *   /bytes/:size    返回指定字节数的二进制数据，带Content-Length
+ *   /empty          返回204
+ *   其他路径        返回404
+ */
+
+import http from 'node:http';
+
+/**
+ * 读取请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<string>} 请求体文本
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 发送JSON响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {*} data - 响应数据
+ * @param {Object} headers - 额外的响应头
+ */
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * 启动测试服务
+ * @returns {Promise<Object>} 服务实例，包含baseURL、requests、hits、active、maxActive以及reset和close方法
+ */
+export async function startServer() {
+  const server = http.createServer();
+  const timers = new Set();
+
+  const state = {
+    // 收到的请求记录：{ method, path, query, headers, body }
+    requests: [],
+    // 按路径统计的请求次数
+    hits: new Map(),
+    // 当前正在处理的请求数和最大值，用于验证并发控制
+    active: 0,
+    maxActive: 0
+  };
+
+  server.on('request', async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+    const body = await readBody(req);
+    const hits = (state.hits.get(path) || 0) + 1;
+    state.hits.set(path, hits);
+    state.requests.push({
+      method: req.method,
+      path,
+      query: url.search,
+      headers: req.headers,
+      body
+    });
+
+    state.active++;
+    state.maxActive = Math.max(state.maxActive, state.active);
+    res.on('close', () => {
+      state.active--;
+    });
+
+    const [, route, param] = path.split('/');
+    switch (route) {
+      case 'echo':
+        sendJSON(res, 200, {
+          method: req.method,
+          path,
+          query: url.search,
+          headers: req.headers,
+          body
+        }, { 'X-Echo': 'yes' });
+        break;
+      case 'status':
+        sendJSON(res, Number(param), { code: Number(param) });
+        break;
+      case 'delay': {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          sendJSON(res, 200, { delay: Number(param) });
+        }, Number(param));
+        timers.add(timer);
+        req.on('close', () => {
+          clearTimeout(timer);
+          timers.delete(timer);
+        });
+        break;
+      }
+      case 'flaky': {
+        const failures = Number(url.searchParams.get('failures') || 2);
+        if (hits <= failures) {
+          sendJSON(res, 503, { attempts: hits });
+        } else {
+          sendJSON(res, 200, { attempts: hits });
+        }
+        break;
+      }
+      case 'count':
+        sendJSON(res, 200, { count: hits });
+        break;
+      case 'envelope': {
+        // 业务信封：code为0表示成功；设置failures时前failures次返回指定code，之后返回0
+        const failures = url.searchParams.has('failures') ? Number(url.searchParams.get('failures')) : Infinity;
+        const code = hits <= failures ? Number(param) : 0;
+        sendJSON(res, 200, {
+          code,
+          message: code === 0 ? 'ok' : `business error ${code}`,
+          data: { count: hits }
+        });
+        break;
+      }
+      case 'text':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('plain text');
+        break;
+      case 'bytes': {
+        const bytes = Buffer.alloc(Number(param), 1);
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': bytes.length });
+        res.end(bytes);
+        break;
+      }
+      case 'empty':
+        res.writeHead(204);
+        res.end();
+        break;
+      default:
+        sendJSON(res, 404, { message: 'Not Found' });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return Object.assign(state, {
+    baseURL: `http://127.0.0.1:${port}`,
+
+    /**
+     * 清空请求记录和统计
+     */
+    reset: function() {
+      state.requests = [];
+      state.hits = new Map();
+      state.maxActive = state.active;
+    },
+
+    /**
+     * 关闭服务，断开所有连接
+     * @returns {Promise} 关闭完成
+     */
+    close: function() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  });
+}
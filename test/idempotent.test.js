@@ -0,0 +1,129 @@
+/**
+ * createIdempotentRequest测试：重复提交只发送一次请求，请求体不同（包括FormData等无法序列化的请求体）时分别发送
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { inject, setGlobalConfig, createIdempotentRequest, clearCache, compose, dedupe, createClient } from '../request-core/index.js';
+import { AbortError } from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS } from './helpers/implementations.js';
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`createIdempotentRequest (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      server.reset();
+      inject(requestor);
+      setGlobalConfig({ baseURL: server.baseURL, timeout: 2000 });
+      await clearCache();
+    });
+
+    it('并发的重复提交只发送一次', async () => {
+      const idempotentRequestor = createIdempotentRequest();
+      const [first, second] = await Promise.all([
+        idempotentRequestor.post('/echo', { title: 'a' }),
+        idempotentRequestor.post('/echo', { title: 'a' })
+      ]);
+      assert.equal(server.requests.length, 1);
+      assert.deepEqual(first.data, second.data);
+    });
+
+    it('先后的重复提交只发送一次', async () => {
+      const idempotentRequestor = createIdempotentRequest();
+      await idempotentRequestor.post('/echo', { title: 'a' });
+      await idempotentRequestor.post('/echo', { title: 'a' });
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('请求体不同时分别发送', async () => {
+      const idempotentRequestor = createIdempotentRequest();
+      await idempotentRequestor.post('/echo', { title: 'a' });
+      await idempotentRequestor.post('/echo', { title: 'b' });
+      assert.deepEqual(server.requests.map(request => JSON.parse(request.body).title), ['a', 'b']);
+    });
+
+    it('FormData和URLSearchParams请求体不同时分别发送', async () => {
+      const idempotentRequestor = createIdempotentRequest();
+
+      /**
+       * 创建上传文件的表单
+       * @param {string} content - 文件内容
+       * @returns {FormData} 表单
+       */
+      function createUpload(content) {
+        const form = new FormData();
+        form.append('file', new Blob([content], { type: 'text/plain' }), 'a.txt');
+        return form;
+      }
+
+      const upload = createUpload('first');
+      await Promise.all([
+        idempotentRequestor.post('/echo', upload),
+        idempotentRequestor.post('/echo', upload),
+        idempotentRequestor.post('/echo', createUpload('second'))
+      ]);
+      assert.equal(server.requests.length, 2);
+      assert.match(server.requests.map(request => request.body).join(), /first[\s\S]*second|second[\s\S]*first/);
+
+      await idempotentRequestor.post('/echo', new URLSearchParams({ title: 'a' }));
+      await idempotentRequestor.post('/echo', new URLSearchParams({ title: 'b' }));
+      await idempotentRequestor.post('/echo', new URLSearchParams({ title: 'b' }));
+      assert.deepEqual(server.requests.slice(2).map(request => request.body), ['title=a', 'title=b']);
+    });
+
+    it('合并的请求中一个调用方取消不影响其他调用方', async () => {
+      const idempotentRequestor = createIdempotentRequest();
+      const deduped = compose(dedupe());
+      for (const requestor of [idempotentRequestor, deduped]) {
+        server.reset();
+        const controller = new AbortController();
+        const first = requestor.post('/delay/50', { title: 'a' }, { signal: controller.signal });
+        const second = requestor.post('/delay/50', { title: 'a' });
+        setTimeout(() => controller.abort('leave'), 10);
+        await assert.rejects(first, AbortError);
+        assert.deepEqual((await second).data, { delay: 50 });
+        assert.equal(server.requests.length, 1);
+      }
+    });
+
+    it('支持自定义幂等键', async () => {
+      const idempotentRequestor = createIdempotentRequest((config) => config.url);
+      await idempotentRequestor.post('/echo', { title: 'a' });
+      await idempotentRequestor.post('/echo', { title: 'b' });
+      assert.equal(server.requests.length, 1);
+    });
+  });
+}
+
+describe('合并请求的取消', () => {
+  it('所有调用方都取消后才取消上游请求', async () => {
+    const mock = createMockRequestor();
+    mock.on('post', '/orders', { data: { id: 1 } }, { delay: 50 });
+    const client = createClient({ requestor: mock });
+    const idempotentRequestor = client.createIdempotentRequest();
+
+    const controllers = [new AbortController(), new AbortController()];
+    const requests = controllers.map(controller => idempotentRequestor.post('/orders', { sku: 'a' }, { signal: controller.signal }));
+    await sleep(10);
+    assert.equal(mock.history.length, 1);
+
+    controllers[0].abort();
+    await assert.rejects(requests[0], AbortError);
+    assert.equal(mock.history[0].config.signal.aborted, false);
+
+    controllers[1].abort();
+    await assert.rejects(requests[1], AbortError);
+    assert.equal(mock.history[0].config.signal.aborted, true);
+    assert.equal(mock.history.length, 1);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * createParallelRequestor测试：并发限制、按域名限制、结果顺序和失败请求不阻塞队列
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { inject, setGlobalConfig, createParallelRequestor } from '../request-core/index.js';
+import { HttpError } from '../request-core/errors.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS } from './helpers/implementations.js';
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`createParallelRequestor (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      server.reset();
+      inject(requestor);
+      setGlobalConfig({ baseURL: server.baseURL, timeout: 2000 });
+    });
+
+    it('同时进行的请求不超过最大并发数', async () => {
+      const parallelRequestor = createParallelRequestor(2);
+      const responses = await Promise.all(
+        [50, 40, 30, 20, 10].map(ms => parallelRequestor.get(`/delay/${ms}`))
+      );
+      assert.deepEqual(responses.map(response => response.data.delay), [50, 40, 30, 20, 10]);
+      assert.equal(server.maxActive, 2);
+    });
+
+    it('失败的请求不阻塞队列', async () => {
+      const parallelRequestor = createParallelRequestor(1);
+      const results = await Promise.allSettled([
+        parallelRequestor.get('/status/500'),
+        parallelRequestor.get('/count/a'),
+        parallelRequestor.get('/count/a')
+      ]);
+      assert.equal(results[0].status, 'rejected');
+      assert.ok(results[0].reason instanceof HttpError);
+      assert.deepEqual(results.slice(1).map(result => result.value.data.count), [1, 2]);
+    });
+
+    it('按优先级发送排队中的请求', async () => {
+      const parallelRequestor = createParallelRequestor(1);
+      await Promise.all([
+        parallelRequestor.get('/delay/30'),
+        parallelRequestor.get('/echo', { params: { name: 'low' }, priority: -10 }),
+        parallelRequestor.get('/echo', { params: { name: 'high' }, priority: 10 })
+      ]);
+      assert.deepEqual(server.requests.map(request => request.query), ['', '?name=high', '?name=low']);
+    });
+
+    it('相对路径按baseURL的域名限制并发', async () => {
+      const parallelRequestor = createParallelRequestor({ maxConcurrent: 4, maxPerHost: 1 });
+      await Promise.all([
+        parallelRequestor.get('/delay/20'),
+        parallelRequestor.get(`${server.baseURL}/delay/20`),
+        parallelRequestor.get('/delay/20')
+      ]);
+      assert.equal(server.maxActive, 1);
+      assert.equal(server.requests.length, 3);
+    });
+
+    it('drain等待所有请求完成', async () => {
+      const parallelRequestor = createParallelRequestor(2);
+      [20, 20, 20].forEach(ms => parallelRequestor.get(`/delay/${ms}`));
+      await parallelRequestor.drain();
+      assert.deepEqual(parallelRequestor.stats(), { queued: 0, running: 0, paused: false });
+      assert.equal(server.requests.length, 3);
+    });
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * 实现一致性测试：同一组请求分别通过fetch和axios实现发送，比较结果是否完全相同
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '../request-core/index.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS, getUnreachableURL } from './helpers/implementations.js';
+
+// 请求场景：(client) => Promise<响应>
+const SCENARIOS = {
+  'GET查询参数': (client) => client.get('/echo', {
+    params: { page: 1, tags: ['a', 'b'], filter: { status: 'draft' }, date: new Date(0), empty: undefined }
+  }),
+  'GET自定义参数格式': (client) => client.get('/echo', {
+    params: { ids: [1, 2] },
+    paramsSerializer: { arrayFormat: 'comma' }
+  }),
+  'POST JSON': (client) => client.post('/echo', { title: '标题', nested: { list: [1, 2] } }),
+  'POST表单': (client) => client.post('/echo', { a: 1, b: 'x y' }, {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  }),
+  'POST字符串': (client) => client.post('/echo', 'raw', { headers: { 'Content-Type': 'text/plain' } }),
+  'POST字符串默认Content-Type': (client) => client.put('/echo', 'raw'),
+  'transformRequest修改数据和请求头': (client) => client.post('/echo', { a: 1 }, {
+    transformRequest: (data, headers) => {
+      headers['X-Signature'] = `sign-${data.a}`;
+      return { ...data, b: 2 };
+    }
+  }),
+  'transformRequest按顺序执行': (client) => client.post('/echo', { a: 1 }, {
+    transformRequest: [
+      (data) => ({ ...data, step: [1] }),
+      (data) => ({ ...data, step: [...data.step, 2] })
+    ]
+  }),
+  'transformRequest返回字符串': (client) => client.post('/echo', { a: 1, b: 'x y' }, {
+    transformRequest: (data) => new URLSearchParams(data).toString()
+  }),
+  'transformRequest与表单格式': (client) => client.post('/echo', { a: 1 }, {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    transformRequest: (data) => ({ ...data, tags: ['x', 'y'] })
+  }),
+  '文本响应': (client) => client.get('/text'),
+  'JSON响应按text读取': (client) => client.get('/count/a', { responseType: 'text' }),
+  '空响应': (client) => client.get('/empty'),
+  'transformResponse': (client) => client.get('/count/a', {
+    transformResponse: [(data, headers, status) => ({ ...data, status, type: headers['content-type'] })]
+  }),
+  '404错误': (client) => client.get('/status/404'),
+  '500错误': (client) => client.delete('/status/500'),
+  '超时': (client) => client.get('/delay/300', { timeout: 30 }),
+  'timeout为0时不超时': (client) => client.get('/delay/50', { timeout: 0 }),
+  '网络错误': (client) => client.get(getUnreachableURL()),
+  '取消': (client) => client.get('/delay/300', { signal: AbortSignal.timeout(20) })
+};
+
+// 比较时保留的请求头，其余请求头（如User-Agent）由各实现自行设置
+const COMPARED_HEADERS = ['content-type', 'x-client', 'x-signature'];
+
+/**
+ * 提取响应中需要比较的部分
+ * @param {Object} response - 响应
+ * @returns {Object} 比较用的结果
+ */
+function summarizeResponse(response) {
+  let { data } = response;
+  // 服务端回显的请求头只保留需要比较的部分
+  if (data && data.headers) {
+    data = {
+      ...data,
+      headers: Object.fromEntries(COMPARED_HEADERS.map(name => [name, data.headers[name]]))
+    };
+  }
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    contentType: response.headers['content-type'],
+    data
+  };
+}
+
+/**
+ * 提取错误中需要比较的部分
+ * @param {Error} error - 请求错误
+ * @returns {Object} 比较用的结果
+ */
+function summarizeError(error) {
+  return {
+    name: error.name,
+    type: error.type,
+    status: error.status,
+    body: error.body,
+    timeout: error.timeout
+  };
+}
+
+describe('fetch与axios实现一致性', () => {
+  let server;
+  const results = {};
+
+  before(async () => {
+    server = await startServer();
+    for (const { name, requestor } of IMPLEMENTATIONS) {
+      const client = createClient({ requestor, baseURL: server.baseURL, headers: { 'X-Client': 'parity' } });
+      results[name] = {};
+      for (const [scenario, send] of Object.entries(SCENARIOS)) {
+        server.reset();
+        try {
+          results[name][scenario] = { response: summarizeResponse(await send(client)) };
+        } catch (error) {
+          results[name][scenario] = { error: summarizeError(error) };
+        }
+      }
+    }
+  });
+
+  after(() => server.close());
+
+  it('未设置Content-Type的字符串请求体按文本发送', () => {
+    IMPLEMENTATIONS.forEach(({ name }) => {
+      const { data } = results[name]['POST字符串默认Content-Type'].response;
+      assert.equal(data.headers['content-type'], 'text/plain;charset=UTF-8');
+      assert.equal(data.body, 'raw');
+    });
+  });
+
+  it('transformRequest的返回值和修改的请求头被发送', () => {
+    IMPLEMENTATIONS.forEach(({ name }) => {
+      const scenario = (key) => results[name][key].response.data;
+      assert.deepEqual(JSON.parse(scenario('transformRequest修改数据和请求头').body), { a: 1, b: 2 });
+      assert.equal(scenario('transformRequest修改数据和请求头').headers['x-signature'], 'sign-1');
+      assert.deepEqual(JSON.parse(scenario('transformRequest按顺序执行').body), { a: 1, step: [1, 2] });
+      assert.equal(scenario('transformRequest返回字符串').body, 'a=1&b=x+y');
+      assert.equal(scenario('transformRequest返回字符串').headers['content-type'], 'text/plain;charset=UTF-8');
+    });
+  });
+
+  it('timeout为0时两个实现都不超时', () => {
+    IMPLEMENTATIONS.forEach(({ name }) => {
+      assert.equal(results[name]['timeout为0时不超时'].response.status, 200);
+    });
+  });
+
+  for (const scenario of Object.keys(SCENARIOS)) {
+    it(scenario, () => {
+      const [expected, ...others] = IMPLEMENTATIONS.map(({ name }) => results[name][scenario]);
+      others.forEach(actual => assert.deepEqual(actual, expected));
+    });
+  }
+});
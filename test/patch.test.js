@@ -0,0 +1,158 @@
+/**
+ * 业务方法补丁测试：替换和包装业务方法、按调用条件生效、补丁叠加顺序、移除补丁后恢复原实现，以及补丁注册表的作用范围
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '../request-core/index.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+import { bindModules, registerPatch, clearPatches, getPatches, getPatchRegistry } from '../request-bus/index.js';
+import { initRequest, createRequestLibrary } from '../index.js';
+
+describe('业务方法补丁', () => {
+  const mock = createMockRequestor();
+  let client;
+  let modules;
+  let registry;
+
+  beforeEach(() => {
+    mock.reset();
+    mock.on('get', '/api/articles/:id', ({ params }) => ({ data: { id: params.id, source: 'server' } }));
+    mock.on('post', '/api/articles', ({ data }) => ({ data: { ...data, id: 1 } }));
+    client = createClient({ requestor: mock, baseURL: 'https://api.example.com' });
+    modules = bindModules(client);
+    registry = getPatchRegistry(client);
+  });
+
+  afterEach(() => clearPatches());
+
+  it('没有补丁时调用原方法', async () => {
+    const data = await modules.article.getArticleDetail(1);
+    assert.deepEqual(data, { id: '1', source: 'server' });
+  });
+
+  it('replace替换原方法', async () => {
+    registry.registerPatch({ target: 'article.getArticleDetail', replace: async id => ({ id, source: 'patch' }) });
+    assert.deepEqual(await modules.article.getArticleDetail(1), { id: 1, source: 'patch' });
+    assert.equal(mock.history.length, 0);
+  });
+
+  it('wrap可以调用原方法并获取模块上下文', async () => {
+    let context;
+    registry.registerPatch({
+      target: 'article.publishArticle',
+      wrap: (original, patchContext) => {
+        context = patchContext;
+        return article => original({ ...article, brand: 'white-label' });
+      }
+    });
+    const data = await modules.article.publishArticle({ title: 'a' });
+    assert.deepEqual(data, { title: 'a', brand: 'white-label', id: 1 });
+    assert.equal(context.client, client);
+    assert.equal(context.module, 'article');
+    assert.equal(context.method, 'publishArticle');
+  });
+
+  it('补丁对已创建的模块立即生效，移除后恢复原实现', async () => {
+    const unregister = registry.registerPatch({ target: 'article.getArticleDetail', replace: async () => 'patched' });
+    assert.equal(await modules.article.getArticleDetail(1), 'patched');
+    unregister();
+    assert.deepEqual(await modules.article.getArticleDetail(1), { id: '1', source: 'server' });
+  });
+
+  it('按名称移除补丁', async () => {
+    registry.registerPatch({ name: 'brand', target: 'article.getArticleDetail', replace: async () => 'patched' });
+    assert.deepEqual(registry.getPatches(), [{ name: 'brand', target: 'article.getArticleDetail' }]);
+    assert.equal(registry.removePatch('brand'), true);
+    assert.equal(registry.removePatch('brand'), false);
+    assert.equal((await modules.article.getArticleDetail(1)).source, 'server');
+  });
+
+  it('enabled在每次调用时判断补丁是否生效', async () => {
+    registry.registerPatch({
+      target: 'article.getArticleDetail',
+      enabled: id => id % 2 === 0,
+      replace: async id => ({ id, source: 'experiment' })
+    });
+    assert.equal((await modules.article.getArticleDetail(2)).source, 'experiment');
+    assert.equal((await modules.article.getArticleDetail(3)).source, 'server');
+  });
+
+  it('后注册的补丁包装先注册的补丁', async () => {
+    const order = [];
+    const trace = label => original => async (...args) => {
+      order.push(label);
+      return original(...args);
+    };
+    registry.registerPatch({ target: 'article.getArticleDetail', wrap: trace('first') });
+    registry.registerPatch({ target: 'article.getArticleDetail', wrap: trace('second') });
+    await modules.article.getArticleDetail(1);
+    assert.deepEqual(order, ['second', 'first']);
+  });
+
+  it('保留defineApi接口上的属性', () => {
+    assert.equal(typeof modules.article.getArticles.cache.subscribe, 'function');
+    assert.equal(modules.article.getArticles.endpoint.path, '/api/articles');
+  });
+
+  it('bindModules的补丁只作用于该实例', async () => {
+    const patched = bindModules(client, {
+      patches: [{ target: 'article.getArticleDetail', replace: async () => 'local' }]
+    });
+    assert.equal(await patched.article.getArticleDetail(1), 'local');
+    assert.equal((await modules.article.getArticleDetail(1)).source, 'server');
+  });
+
+  it('补丁定义不正确时抛出错误', () => {
+    assert.throws(() => registerPatch({ target: 'publishArticle', replace: () => {} }), TypeError);
+    assert.throws(() => registerPatch({ target: 'article.publishArticle' }), TypeError);
+    assert.throws(
+      () => registerPatch({ target: 'article.publishArticle', replace: () => {}, wrap: () => () => {} }),
+      TypeError
+    );
+  });
+
+  it('initRequest注册补丁，再次调用时替换上一次的补丁', async () => {
+    const patch = { target: 'user.getUserInfo', replace: async () => ({ name: 'patched' }) };
+    const library = initRequest({ baseURL: 'https://api.example.com', patches: [patch] });
+    assert.deepEqual(await library.user.getUserInfo(), { name: 'patched' });
+    assert.equal(getPatches().length, 1);
+
+    initRequest({ baseURL: 'https://api.example.com' });
+    assert.equal(getPatches().length, 0);
+  });
+
+  it('createRequestLibrary的补丁只作用于该实例', async () => {
+    const library = createRequestLibrary({
+      requestor: mock,
+      baseURL: 'https://api.example.com',
+      patches: [{ target: 'article.getArticleDetail', wrap: original => async id => ({ ...(await original(id)), local: true }) }]
+    });
+    assert.deepEqual(await library.article.getArticleDetail(1), { id: '1', source: 'server', local: true });
+    assert.equal((await modules.article.getArticleDetail(1)).local, undefined);
+  });
+
+  it('全局补丁只作用于initRequest返回的业务模块', async () => {
+    registerPatch({ target: 'user.getUserInfo', replace: async () => ({ name: 'global' }) });
+    const library = initRequest({ baseURL: 'https://api.example.com' });
+    mock.on('get', '/api/users/:userId', ({ params }) => ({ data: { name: params.userId } }));
+
+    assert.deepEqual(await library.user.getUserInfo('1'), { name: 'global' });
+    assert.deepEqual(await modules.user.getUserInfo('1'), { name: '1' });
+    assert.deepEqual(registry.getPatches(), []);
+  });
+
+  it('createRequestLibrary的registerPatch只作用于该实例', async () => {
+    const library = createRequestLibrary({ requestor: mock, baseURL: 'https://api.example.com' });
+    const other = createRequestLibrary({ requestor: mock, baseURL: 'https://api.example.com' });
+    const unregister = library.registerPatch({ target: 'article.getArticleDetail', replace: async () => 'library' });
+
+    assert.equal(await library.article.getArticleDetail(1), 'library');
+    assert.equal((await other.article.getArticleDetail(1)).source, 'server');
+    assert.equal((await modules.article.getArticleDetail(1)).source, 'server');
+    assert.deepEqual(getPatches(), []);
+
+    unregister();
+    assert.equal((await library.article.getArticleDetail(1)).source, 'server');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * useRequestor测试：响应结构、查询参数、请求头、请求体、错误、超时、取消和进度回调
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { inject, setGlobalConfig, useRequestor } from '../request-core/index.js';
+import { HttpError, TimeoutError, NetworkError, AbortError } from '../request-core/errors.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS, getUnreachableURL } from './helpers/implementations.js';
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`useRequestor (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      server.reset();
+      inject(requestor);
+      setGlobalConfig({ baseURL: server.baseURL, headers: { 'X-Client': 'test' }, timeout: 2000 });
+    });
+
+    it('返回统一的响应结构', async () => {
+      const response = await useRequestor().get('/echo');
+      assert.deepEqual(Object.keys(response).sort(), ['config', 'data', 'headers', 'request', 'status', 'statusText']);
+      assert.equal(response.status, 200);
+      assert.equal(response.statusText, 'OK');
+      assert.equal(response.headers['x-echo'], 'yes');
+      assert.equal(response.headers['content-type'], 'application/json');
+      assert.equal(response.config.url, `${server.baseURL}/echo`);
+      assert.equal(response.data.method, 'GET');
+    });
+
+    it('响应头为普通对象，config为传入的请求配置', async () => {
+      const config = { url: `${server.baseURL}/echo`, method: 'get', headers: {} };
+      const response = await requestor.request(config);
+      assert.equal(Object.getPrototypeOf(response.headers), Object.prototype);
+      assert.equal(response.config, config);
+    });
+
+    it('拼接baseURL和查询参数', async () => {
+      const response = await useRequestor().get('/echo', {
+        params: { page: 1, tags: ['a', 'b'], keyword: 'hello world', empty: null }
+      });
+      assert.equal(response.data.query, '?page=1&tags[]=a&tags[]=b&keyword=hello+world');
+    });
+
+    it('绝对URL不拼接baseURL', async () => {
+      setGlobalConfig({ baseURL: getUnreachableURL() });
+      const response = await useRequestor().get(`${server.baseURL}/echo`);
+      assert.equal(response.data.path, '/echo');
+      assert.equal(response.config.url, `${server.baseURL}/echo`);
+    });
+
+    it('合并全局请求头和单次请求头', async () => {
+      await useRequestor().get('/echo', { headers: { 'X-Request': 'once' } });
+      const [request] = server.requests;
+      assert.equal(request.headers['x-client'], 'test');
+      assert.equal(request.headers['x-request'], 'once');
+    });
+
+    it('以JSON发送对象请求体', async () => {
+      const response = await useRequestor().post('/echo', { title: '标题', count: 1 });
+      assert.equal(response.data.method, 'POST');
+      assert.match(response.data.headers['content-type'], /^application\/json/);
+      assert.deepEqual(JSON.parse(response.data.body), { title: '标题', count: 1 });
+    });
+
+    it('支持put、patch和delete方法', async () => {
+      const requestor = useRequestor();
+      assert.equal((await requestor.put('/echo', { a: 1 })).data.method, 'PUT');
+      assert.equal((await requestor.patch('/echo', { a: 1 })).data.method, 'PATCH');
+      assert.equal((await requestor.delete('/echo')).data.method, 'DELETE');
+    });
+
+    it('文本响应返回字符串，空响应返回null', async () => {
+      assert.equal((await useRequestor().get('/text')).data, 'plain text');
+      const response = await useRequestor().get('/empty');
+      assert.equal(response.status, 204);
+      assert.equal(response.data, null);
+    });
+
+    it('非2xx状态码抛出HttpError并携带响应体', async () => {
+      await assert.rejects(useRequestor().get('/status/404'), (error) => {
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.type, 'http');
+        assert.equal(error.status, 404);
+        assert.deepEqual(error.body, { code: 404 });
+        assert.equal(error.headers['content-type'], 'application/json');
+        assert.equal(error.config.url, `${server.baseURL}/status/404`);
+        return true;
+      });
+    });
+
+    it('超时抛出TimeoutError', async () => {
+      await assert.rejects(useRequestor().get('/delay/500', { timeout: 50 }), (error) => {
+        assert.ok(error instanceof TimeoutError);
+        assert.equal(error.type, 'timeout');
+        assert.equal(error.timeout, 50);
+        return true;
+      });
+    });
+
+    it('连接失败抛出NetworkError', async () => {
+      await assert.rejects(useRequestor().get(getUnreachableURL()), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.equal(error.type, 'network');
+        return true;
+      });
+    });
+
+    it('上传进度事件携带loaded和total', async () => {
+      const events = [];
+      const payload = 'x'.repeat(200000);
+      const response = await useRequestor().post('/echo', payload, { onUploadProgress: event => events.push(event) });
+
+      assert.equal(response.data.body.length, payload.length);
+      assert.ok(events.length > 0);
+      assert.ok(events.every(event => event.upload && event.lengthComputable && event.total === payload.length));
+      assert.ok(events.every((event, index) => index === 0 || event.loaded >= events[index - 1].loaded));
+      assert.equal(events.at(-1).loaded, payload.length);
+      assert.equal(events.at(-1).progress, 1);
+    });
+
+    it('下载进度事件携带loaded和total', async () => {
+      const events = [];
+      const response = await useRequestor().get('/bytes/300000', {
+        responseType: 'arraybuffer',
+        onDownloadProgress: event => events.push(event)
+      });
+
+      assert.equal(response.data.byteLength, 300000);
+      assert.ok(events.length > 0);
+      assert.ok(events.every(event => event.download && event.lengthComputable && event.total === 300000));
+      assert.ok(events.every((event, index) => index === 0 || event.loaded >= events[index - 1].loaded));
+      assert.equal(events.at(-1).loaded, 300000);
+      assert.equal(events.at(-1).progress, 1);
+    });
+
+    it('响应没有Content-Length时下载进度的total为undefined', async () => {
+      const events = [];
+      await useRequestor().post('/echo', 'x'.repeat(100000), { onDownloadProgress: event => events.push(event) });
+
+      assert.ok(events.length > 0);
+      assert.ok(events.every(event => event.download && !event.lengthComputable && event.total === undefined));
+      assert.ok(events.at(-1).loaded > 100000);
+    });
+
+    it('取消请求抛出AbortError并携带取消原因', async () => {
+      const controller = new AbortController();
+      const promise = useRequestor().get('/delay/500', { signal: controller.signal });
+      setTimeout(() => controller.abort('用户取消'), 20);
+      await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof AbortError);
+        assert.equal(error.message, '用户取消');
+        return true;
+      });
+    });
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * createRetryRequestor测试：按状态码、网络错误和超时重试，遵守最大次数和请求方法限制；退避策略、Retry-After和取消
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { inject, setGlobalConfig, createRetryRequestor, createClient, retry } from '../request-core/index.js';
+import { HttpError, NetworkError, TimeoutError, AbortError } from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+import { startServer } from './helpers/server.js';
+import { IMPLEMENTATIONS, getUnreachableURL } from './helpers/implementations.js';
+
+// 测试中不等待退避时间
+const FAST_POLICY = { delay: 1, jitter: false };
+
+for (const { name, requestor } of IMPLEMENTATIONS) {
+  describe(`createRetryRequestor (${name})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      server.reset();
+      inject(requestor);
+      setGlobalConfig({ baseURL: server.baseURL, timeout: 2000 });
+    });
+
+    it('失败后重试直到成功', async () => {
+      const response = await createRetryRequestor({ ...FAST_POLICY, maxCount: 3 }).get('/flaky/a', {
+        params: { failures: 2 }
+      });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.data, { attempts: 3 });
+      assert.equal(server.hits.get('/flaky/a'), 3);
+    });
+
+    it('超过最大次数后抛出最后一次的错误', async () => {
+      const attempts = [];
+      const retryRequestor = createRetryRequestor({
+        ...FAST_POLICY,
+        maxCount: 3,
+        onRetry: (error, attempt) => attempts.push(attempt)
+      });
+      await assert.rejects(retryRequestor.get('/flaky/b', { params: { failures: 5 } }), (error) => {
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.status, 503);
+        assert.deepEqual(error.body, { attempts: 3 });
+        return true;
+      });
+      assert.deepEqual(attempts, [1, 2]);
+      assert.equal(server.hits.get('/flaky/b'), 3);
+    });
+
+    it('默认不重试非幂等方法', async () => {
+      await assert.rejects(
+        createRetryRequestor({ ...FAST_POLICY, maxCount: 3 }).post('/flaky/c', { a: 1 }),
+        HttpError
+      );
+      assert.equal(server.hits.get('/flaky/c'), 1);
+    });
+
+    it('不重试4xx错误', async () => {
+      await assert.rejects(createRetryRequestor({ ...FAST_POLICY, maxCount: 3 }).get('/status/404'), HttpError);
+      assert.equal(server.hits.get('/status/404'), 1);
+    });
+
+    it('重试网络错误', async () => {
+      let retries = 0;
+      const retryRequestor = createRetryRequestor({ ...FAST_POLICY, maxCount: 2, onRetry: () => retries++ });
+      await assert.rejects(retryRequestor.get(getUnreachableURL()), NetworkError);
+      assert.equal(retries, 1);
+    });
+
+    it('重试超时', async () => {
+      await assert.rejects(
+        createRetryRequestor({ ...FAST_POLICY, maxCount: 2 }).get('/delay/300', { timeout: 30 }),
+        TimeoutError
+      );
+      assert.equal(server.hits.get('/delay/300'), 2);
+    });
+  });
+}
+
+describe('重试策略', () => {
+  const mock = createMockRequestor();
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    mock.on('*', '/unavailable', ({ headers }) => ({
+      status: 503,
+      headers: headers['X-Retry-After'] ? { 'Retry-After': headers['X-Retry-After'] } : {}
+    }));
+    client = createClient({ requestor: mock });
+  });
+
+  /**
+   * 发送总是失败的请求，返回每次重试前的等待时间
+   * @param {Object} policy - 重试策略
+   * @param {Object} config - 请求配置
+   * @returns {Promise<Array<number>>} 等待时间
+   */
+  async function collectDelays(policy, config = {}) {
+    const delays = [];
+    const requestor = client.compose(retry({ maxCount: 4, jitter: false, ...policy, onRetry: (error, attempt, delay) => delays.push(delay) }));
+    await assert.rejects(requestor.request({ method: 'get', url: '/unavailable', ...config }), HttpError);
+    return delays;
+  }
+
+  it('按退避策略计算等待时间', async () => {
+    assert.deepEqual(await collectDelays({ delay: 2 }), [2, 4, 8]);
+    assert.deepEqual(await collectDelays({ delay: 2, backoff: 'linear' }), [2, 4, 6]);
+    assert.deepEqual(await collectDelays({ delay: 2, backoff: 'fixed' }), [2, 2, 2]);
+    assert.deepEqual(await collectDelays({ backoff: attempt => attempt * 3 }), [3, 6, 9]);
+  });
+
+  it('等待时间不超过maxDelay', async () => {
+    assert.deepEqual(await collectDelays({ delay: 2, maxDelay: 5 }), [2, 4, 5]);
+  });
+
+  it('遵循秒数格式的Retry-After', async () => {
+    const delays = await collectDelays({ delay: 1, maxCount: 2 }, { headers: { 'X-Retry-After': '0.02' } });
+    assert.deepEqual(delays, [20]);
+  });
+
+  it('遵循HTTP日期格式的Retry-After，受maxDelay限制', async () => {
+    const future = new Date(Date.now() + 5000).toUTCString();
+    assert.deepEqual(await collectDelays({ delay: 1, maxCount: 2, maxDelay: 15 }, { headers: { 'X-Retry-After': future } }), [15]);
+
+    const past = new Date(Date.now() - 5000).toUTCString();
+    assert.deepEqual(await collectDelays({ delay: 1, maxCount: 2 }, { headers: { 'X-Retry-After': past } }), [0]);
+  });
+
+  it('respectRetryAfter为false时使用退避策略', async () => {
+    const delays = await collectDelays({ delay: 1, maxCount: 2, respectRetryAfter: false }, { headers: { 'X-Retry-After': '10' } });
+    assert.deepEqual(delays, [1]);
+  });
+
+  it('默认不重试非幂等的POST请求，methods中包含时重试', async () => {
+    assert.deepEqual(await collectDelays({ delay: 1 }, { method: 'post' }), []);
+    assert.equal(mock.history.length, 1);
+    assert.deepEqual(await collectDelays({ delay: 1, methods: ['POST'] }, { method: 'post' }), [1, 2, 4]);
+  });
+
+  it('重试等待期间取消时不再重试', async () => {
+    const controller = new AbortController();
+    const requestor = client.compose(retry({ maxCount: 3, delay: 1000, jitter: false }));
+    const request = requestor.get('/unavailable', { signal: controller.signal });
+    await sleep(10);
+    controller.abort('leave');
+    await assert.rejects(request, AbortError);
+    assert.equal(mock.history.length, 1);
+  });
+
+  it('请求被取消时不重试，即使自定义判断允许重试', async () => {
+    mock.on('get', '/aborted', { error: 'abort' });
+    const requestor = client.compose(retry({ maxCount: 3, delay: 1, jitter: false, shouldRetry: () => true }));
+    await assert.rejects(requestor.get('/aborted'), AbortError);
+    assert.equal(mock.getCalls('get', '/aborted').length, 1);
+  });
+});
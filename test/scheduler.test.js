@@ -0,0 +1,121 @@
+/**
+ * 请求调度器测试：限流、队列长度限制、暂停和恢复、清空队列、排队中的请求取消，以及createParallelRequestor使用共享调度器
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createScheduler } from '../request-core/index.js';
+import { AbortError, QueueFullError } from '../request-core/errors.js';
+import { sleep } from '../request-core/cancel.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+describe('请求调度器', () => {
+  const mock = createMockRequestor();
+  let client;
+  let startTimes;
+
+  beforeEach(() => {
+    mock.reset();
+    startTimes = [];
+    mock.on('get', '/items/:id', ({ params }) => {
+      startTimes.push(Date.now());
+      return { data: params.id, delay: 30 };
+    });
+    client = createClient({ requestor: mock });
+  });
+
+  /**
+   * 发送一组请求
+   * @param {Object} requestor - 请求器
+   * @param {Array<string>} ids - 请求的id
+   * @param {Object} config - 请求配置
+   * @returns {Array<Promise>} 请求结果
+   */
+  function requestItems(requestor, ids, config = {}) {
+    return ids.map(id => requestor.get(`/items/${id}`, config));
+  }
+
+  it('限流：每个时间窗口内发出的请求不超过limit', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 10, rateLimit: { limit: 2, interval: 100 } });
+    const requestor = client.compose(scheduler);
+
+    const results = await Promise.all(requestItems(requestor, ['1', '2', '3', '4']));
+
+    assert.deepEqual(results.map(response => response.data), ['1', '2', '3', '4']);
+    assert.ok(startTimes[1] - startTimes[0] < 50);
+    assert.ok(startTimes[2] - startTimes[0] >= 90);
+    assert.ok(startTimes[3] - startTimes[1] >= 90);
+  });
+
+  it('队列已满时以QueueFullError拒绝新请求，不影响已排队的请求', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1, maxQueueSize: 1 });
+    const requestor = client.compose(scheduler);
+
+    const [running, queued, rejected] = requestItems(requestor, ['1', '2', '3']);
+
+    await assert.rejects(rejected, (error) => error instanceof QueueFullError && error.maxQueueSize === 1);
+    assert.equal((await running).data, '1');
+    assert.equal((await queued).data, '2');
+    assert.equal(mock.history.length, 2);
+  });
+
+  it('暂停时请求排队不发送，恢复后按顺序发送', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const requestor = client.compose(scheduler);
+
+    scheduler.pause();
+    const requests = requestItems(requestor, ['1', '2']);
+    await sleep(20);
+    assert.equal(mock.history.length, 0);
+    assert.deepEqual(scheduler.stats(), { queued: 2, running: 0, paused: true });
+
+    scheduler.resume();
+    assert.deepEqual((await Promise.all(requests)).map(response => response.data), ['1', '2']);
+    assert.deepEqual(mock.history.map(entry => entry.url), ['/items/1', '/items/2']);
+  });
+
+  it('clear取消排队中的请求，不影响已发出的请求', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const requestor = client.compose(scheduler);
+
+    const [running, ...queued] = requestItems(requestor, ['1', '2', '3']);
+    scheduler.clear('reset');
+    assert.deepEqual(scheduler.stats(), { queued: 0, running: 1, paused: false });
+
+    for (const request of queued) {
+      await assert.rejects(request, (error) => error instanceof AbortError && error.reason === 'reset');
+    }
+    assert.equal((await running).data, '1');
+    assert.equal(mock.history.length, 1);
+  });
+
+  it('排队中的请求取消后移出队列，后面的请求继续发送', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const requestor = client.compose(scheduler);
+    const controller = new AbortController();
+
+    const running = requestor.get('/items/1');
+    const canceled = requestor.get('/items/2', { signal: controller.signal });
+    const next = requestor.get('/items/3');
+    controller.abort('skip');
+
+    await assert.rejects(canceled, (error) => error instanceof AbortError && error.reason === 'skip');
+    assert.equal(scheduler.stats().queued, 1);
+    assert.equal((await running).data, '1');
+    assert.equal((await next).data, '3');
+    assert.deepEqual(mock.history.map(entry => entry.url), ['/items/1', '/items/3']);
+  });
+
+  it('createParallelRequestor传入并发数时仍经过客户端的共享调度器', async () => {
+    client = createClient({ requestor: mock, scheduler: { maxConcurrent: 1 } });
+    const requestor = client.createParallelRequestor(2);
+
+    const requests = requestItems(requestor, ['1', '2', '3']);
+    await sleep(10);
+
+    assert.deepEqual(requestor.stats(), { queued: 1, running: 2, paused: false });
+    assert.deepEqual(client.scheduler.stats(), { queued: 1, running: 1, paused: false });
+    assert.deepEqual((await Promise.all(requests)).map(response => response.data), ['1', '2', '3']);
+    assert.ok(startTimes[1] - startTimes[0] >= 25);
+  });
+});
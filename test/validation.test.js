@@ -0,0 +1,220 @@
+/**
+ * 响应校验测试：内置校验器、JSON Schema和Ajv适配、结构化校验错误、警告模式和类型转换
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createClient,
+  schema,
+  validateSchema,
+  fromJSONSchema,
+  fromAjv,
+  ValidationError,
+  LIFECYCLE_EVENT
+} from '../request-core/index.js';
+import { createMockRequestor } from '../request-mock-imp/index.js';
+
+const ARTICLE = schema.object({
+  id: schema.integer(),
+  title: schema.string({ minLength: 1 }),
+  status: schema.enum(['draft', 'published']),
+  publishedAt: schema.date().nullable(),
+  tags: schema.array(schema.string()).optional()
+});
+
+describe('内置校验器', () => {
+  it('校验通过时转换数字和日期，不修改原数据', () => {
+    const data = { id: '7', title: 'a', status: 'draft', publishedAt: '2024-05-01T08:00:00Z', extra: true };
+    const result = validateSchema(ARTICLE, data);
+    assert.equal(result.valid, true);
+    assert.equal(result.value.id, 7);
+    assert.ok(result.value.publishedAt instanceof Date);
+    assert.equal(result.value.publishedAt.toISOString(), '2024-05-01T08:00:00.000Z');
+    assert.equal(result.value.extra, true);
+    assert.equal(data.id, '7');
+  });
+
+  it('关闭类型转换时保留原值', () => {
+    const result = validateSchema(ARTICLE, { id: '7', title: 'a', status: 'draft', publishedAt: null }, { coerce: false });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues.map(issue => issue.path), ['$.id']);
+  });
+
+  it('记录所有问题的路径、期望和实际类型', () => {
+    const result = validateSchema(schema.array(ARTICLE), [
+      { id: 1, title: '', status: 'deleted', publishedAt: 'not a date', tags: ['a', 1] }
+    ]);
+    assert.deepEqual(result.issues.map(({ path, expected, received }) => ({ path, expected, received })), [
+      { path: '$[0].title', expected: 'length >= 1', received: 'string' },
+      { path: '$[0].status', expected: '"draft" | "published"', received: 'string' },
+      { path: '$[0].publishedAt', expected: 'date', received: 'string' },
+      { path: '$[0].tags[1]', expected: 'string', received: 'number' }
+    ]);
+  });
+
+  it('缺少必需属性', () => {
+    const result = validateSchema(ARTICLE, { id: 1, status: 'draft', publishedAt: null });
+    assert.deepEqual(result.issues[0], {
+      path: '$.title',
+      expected: 'string',
+      received: 'undefined',
+      message: 'expected string, received undefined'
+    });
+  });
+
+  it('对象的未声明属性可以去掉或报告', () => {
+    const shape = { id: schema.number() };
+    assert.deepEqual(validateSchema(schema.object(shape, { unknown: 'strip' }), { id: 1, x: 2 }).value, { id: 1 });
+    const result = validateSchema(schema.object(shape, { unknown: 'error' }), { id: 1, x: 2 });
+    assert.deepEqual(result.issues.map(issue => issue.path), ['$.x']);
+  });
+
+  it('union使用第一个通过的校验器，refine附加自定义校验', () => {
+    const id = schema.union(schema.integer(), schema.string());
+    assert.equal(validateSchema(id, '12').value, 12);
+    assert.equal(validateSchema(id, 'abc').value, 'abc');
+    assert.equal(validateSchema(id, true).valid, false);
+
+    const even = schema.integer().refine(value => value % 2 === 0, 'expected even number');
+    assert.equal(validateSchema(even, 3).issues[0].message, 'expected even number');
+  });
+});
+
+describe('JSON Schema适配', () => {
+  const spec = {
+    components: {
+      schemas: {
+        Category: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            children: { type: 'array', items: { $ref: '#/components/schemas/Category' } }
+          }
+        },
+        Page: {
+          type: 'object',
+          required: ['total', 'items'],
+          properties: {
+            total: { type: 'integer', minimum: 0 },
+            items: { type: 'array', items: { $ref: '#/components/schemas/Category' } },
+            updatedAt: { type: 'string', format: 'date-time', nullable: true },
+            kind: { type: ['string', 'null'], enum: ['tree', null] }
+          },
+          additionalProperties: false
+        }
+      }
+    }
+  };
+  const page = fromJSONSchema({ $ref: '#/components/schemas/Page' }, { root: spec });
+
+  it('转换类型、必需属性、递归引用和日期格式', () => {
+    const result = validateSchema(page, {
+      total: '2',
+      items: [{ name: 'a', children: [{ name: 'b' }] }],
+      updatedAt: '2024-01-01T00:00:00Z',
+      kind: null
+    });
+    assert.equal(result.valid, true);
+    assert.equal(result.value.total, 2);
+    assert.ok(result.value.updatedAt instanceof Date);
+  });
+
+  it('报告递归结构中的问题和不允许的属性', () => {
+    const result = validateSchema(page, {
+      total: -1,
+      items: [{ children: [{ name: 1 }] }],
+      other: true
+    });
+    assert.deepEqual(result.issues.map(issue => issue.path), [
+      '$.total',
+      '$.items[0].name',
+      '$.items[0].children[0].name',
+      '$.other'
+    ]);
+  });
+
+  it('fromAjv将校验函数的错误转换为校验问题', () => {
+    const validate = (data) => {
+      validate.errors = typeof data.items[1] === 'string'
+        ? null
+        : [{ instancePath: '/items/1', keyword: 'type', params: { type: 'string' }, message: 'must be string' }];
+      return !validate.errors;
+    };
+    const result = validateSchema(fromAjv(validate), { items: ['a', 2] });
+    assert.deepEqual(result.issues, [
+      { path: '$.items[1]', expected: 'string', received: 'number', message: 'must be string' }
+    ]);
+    assert.equal(validateSchema(fromAjv(validate), { items: ['a', 'b'] }).valid, true);
+  });
+});
+
+describe('接口响应校验', () => {
+  const mock = createMockRequestor();
+  let client;
+  let api;
+
+  beforeEach(() => {
+    mock.reset();
+    mock.fixture('get', '/api/articles/1', { id: '1', title: 'a', status: 'draft', publishedAt: '2024-05-01T08:00:00Z' });
+    mock.fixture('get', '/api/articles/2', { id: 2, status: 'archived', publishedAt: null });
+    client = createClient({ requestor: mock });
+    api = client.defineApi({
+      getArticleDetail: { path: '/api/articles/:id', args: ['id'], schema: ARTICLE, cache: true }
+    }, { onError: () => {} });
+  });
+
+  it('返回转换后的数据', async () => {
+    const article = await api.getArticleDetail(1);
+    assert.equal(article.id, 1);
+    assert.ok(article.publishedAt instanceof Date);
+  });
+
+  it('命中缓存时同样返回转换后的数据', async () => {
+    await api.getArticleDetail(1);
+    const article = await api.getArticleDetail(1);
+    assert.equal(mock.getCalls('get', '/api/articles/1').length, 1);
+    assert.ok(article.publishedAt instanceof Date);
+  });
+
+  it('校验失败时抛出ValidationError并发送事件', async () => {
+    const events = [];
+    client.on(LIFECYCLE_EVENT.VALIDATION_FAILED, ({ error }) => events.push(error));
+    await assert.rejects(api.getArticleDetail(2), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.type, 'validation');
+      assert.deepEqual(error.issues.map(issue => issue.path), ['$.title', '$.status']);
+      assert.equal(error.response.data.status, 'archived');
+      assert.match(error.message, /^Invalid response data for GET \/api\/articles\/2: \$\.title/);
+      return true;
+    });
+    assert.equal(events.length, 1);
+  });
+
+  it('警告模式打印警告并返回数据', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    client.setConfig({ validation: { mode: 'warn' } });
+    const article = await api.getArticleDetail(2);
+    assert.equal(article.status, 'archived');
+    assert.equal(article.id, 2);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('单次请求可以关闭校验', async () => {
+    const article = await api.getArticleDetail(1, { validation: { mode: 'off' } });
+    assert.equal(article.id, '1');
+    assert.equal(mock.history[0].config.validation, undefined);
+  });
+
+  it('接口定义中的JSON Schema', async () => {
+    const { getArticleDetail } = client.defineApi({
+      getArticleDetail: {
+        path: '/api/articles/:id',
+        args: ['id'],
+        schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }
+      }
+    });
+    assert.equal((await getArticleDetail(1)).id, 1);
+  });
+});